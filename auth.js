@@ -0,0 +1,269 @@
+const path = require('path');
+const querystring = require('querystring');
+const { readPem } = require(path.join(__dirname, '/transport.js'));
+
+const validResponseRegex = /(2\d\d)/;
+
+// Token endpoint of ServiceNow's OAuth 2.0 provider.
+const TOKEN_PATH = '/oauth_token.do';
+
+// Header ServiceNow's REST API key authentication reads by default.
+const DEFAULT_API_KEY_HEADER = 'x-sn-apikey';
+
+// Seconds before expiry at which a cached OAuth token is refreshed.
+const DEFAULT_TOKEN_REFRESH_MARGIN = 60;
+
+// Seconds a token is assumed to live when the token response omits
+// expires_in. ServiceNow's default access token lifespan is 30 minutes.
+const DEFAULT_TOKEN_LIFETIME = 1800;
+
+const AUTH_TYPES = ['basic', 'oauth2_password', 'oauth2_client_credentials', 'api_key', 'mtls'];
+
+/**
+ * The ServiceNowAuthenticator class.
+ *
+ * @summary ServiceNow Request Authentication
+ * @description This class adds credentials to outgoing request options
+ *   according to the configured authentication type: HTTP basic auth,
+ *   OAuth 2.0 password or client credentials grants, a static API key
+ *   header, or a client certificate for mutual TLS. OAuth access tokens are
+ *   cached and refreshed shortly before they expire.
+ */
+class ServiceNowAuthenticator {
+
+  /**
+   * @memberof ServiceNowAuthenticator
+   * @constructs
+   * @description Copies the authentication options and loads client
+   *   certificate files for mutual TLS.
+   *
+   * @param {object} options - Authentication options.
+   * @param {string} [options.type=basic] - One of basic, oauth2_password,
+   *   oauth2_client_credentials, api_key, or mtls.
+   * @param {string} [options.username] - Login username for basic and oauth2_password.
+   * @param {string} [options.password] - Login password for basic and oauth2_password.
+   * @param {string} [options.clientId] - OAuth client ID.
+   * @param {string} [options.clientSecret] - OAuth client secret.
+   * @param {number} [options.tokenRefreshMargin=60] - Seconds before expiry
+   *   at which a cached token is refreshed.
+   * @param {string} [options.apiKey] - Static API key for api_key.
+   * @param {string} [options.apiKeyHeader=x-sn-apikey] - Header that carries the API key.
+   * @param {string} [options.cert] - Client certificate for mtls, as PEM text or a file path.
+   * @param {string} [options.key] - Client private key for mtls, as PEM text or a file path.
+   * @param {string} [options.passphrase] - Passphrase of the client private key.
+   * @param {string} baseUrl - The ServiceNow instance URL.
+   * @param {HttpTransport} transport - Sends the OAuth token requests.
+   */
+  constructor(options, baseUrl, transport) {
+    this.options = { type: 'basic', ...options };
+    this.baseUrl = baseUrl;
+    this.transport = transport;
+    this.token = null;
+    this.pendingTokenCallbacks = null;
+
+    if (!AUTH_TYPES.includes(this.options.type)) {
+      throw new Error(`Unknown authentication type ${this.options.type}. Expected one of ${AUTH_TYPES.join(', ')}.`);
+    }
+    if (this.options.type === 'mtls') {
+      this.cert = readPem(this.options.cert);
+      this.key = readPem(this.options.key);
+    }
+  }
+
+  /**
+   * @memberof ServiceNowAuthenticator
+   * @method authorize
+   * @description Adds the configured credentials to request options. For the
+   *   OAuth types a cached token is used while it is fresh; otherwise a token
+   *   is requested first.
+   *
+   * @param {object} requestOptions - Options for the transport's request
+   *   function. Modified in place.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {object} callback.data - The authorized request options.
+   * @param {error} callback.error - The error property of callback.
+   */
+  authorize(requestOptions, callback) {
+    switch (this.options.type) {
+      case 'oauth2_password':
+      case 'oauth2_client_credentials':
+        return this.getAccessToken((accessToken, error) => {
+          if (error) {
+            return callback(null, error);
+          }
+          requestOptions.headers = {
+            ...requestOptions.headers,
+            Authorization: `Bearer ${accessToken}`,
+          };
+          return callback(requestOptions, null);
+        });
+      case 'api_key':
+        requestOptions.headers = {
+          ...requestOptions.headers,
+          [this.options.apiKeyHeader || DEFAULT_API_KEY_HEADER]: this.options.apiKey,
+        };
+        return callback(requestOptions, null);
+      case 'mtls':
+        requestOptions.cert = this.cert;
+        requestOptions.key = this.key;
+        if (this.options.passphrase) {
+          requestOptions.passphrase = this.options.passphrase;
+        }
+        return callback(requestOptions, null);
+      default:
+        requestOptions.headers = {
+          ...requestOptions.headers,
+          Authorization: `Basic ${Buffer.from(`${this.options.username}:${this.options.password}`).toString('base64')}`,
+        };
+        return callback(requestOptions, null);
+    }
+  }
+
+  /**
+   * @memberof ServiceNowAuthenticator
+   * @method invalidate
+   * @description Drops the cached OAuth token, for example after ServiceNow
+   *   rejected it with a 401, so the next request fetches a new one.
+   */
+  invalidate() {
+    this.token = null;
+  }
+
+  /**
+   * @memberof ServiceNowAuthenticator
+   * @method getAccessToken
+   * @description Returns a fresh OAuth access token. A token within the
+   *   refresh margin of expiry is refreshed with its refresh token when it
+   *   has one, else a new grant is requested. Concurrent callers share one
+   *   token request.
+   *
+   * @param {iapCallback} callback - Callback a function.
+   * @param {string} callback.data - The access token.
+   * @param {error} callback.error - The error property of callback.
+   */
+  getAccessToken(callback) {
+    const margin = (this.options.tokenRefreshMargin !== undefined
+      ? this.options.tokenRefreshMargin
+      : DEFAULT_TOKEN_REFRESH_MARGIN) * 1000;
+
+    if (this.token && this.token.expiresAt - margin > Date.now()) {
+      return callback(this.token.accessToken, null);
+    }
+    if (this.pendingTokenCallbacks) {
+      return this.pendingTokenCallbacks.push(callback);
+    }
+
+    this.pendingTokenCallbacks = [callback];
+    const settle = (accessToken, error) => {
+      const callbacks = this.pendingTokenCallbacks;
+      this.pendingTokenCallbacks = null;
+      callbacks.forEach(pending => pending(accessToken, error));
+    };
+
+    const refreshToken = this.token && this.token.refreshToken;
+    const form = refreshToken ? this.refreshForm(refreshToken) : this.grantForm();
+    return this.requestToken(form, (token, error) => {
+      if (error && refreshToken) {
+        // The refresh token may have expired too. Fall back to a new grant.
+        log.warn('ServiceNow: OAuth token refresh failed. Requesting a new token.');
+        return this.requestToken(this.grantForm(), (grantToken, grantError) => settle(grantToken, grantError));
+      }
+      return settle(token, error);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAuthenticator
+   * @method grantForm
+   * @description Builds the form for a new token from the configured grant.
+   *
+   * @return {object} The token request form.
+   */
+  grantForm() {
+    const form = {
+      grant_type: this.options.type === 'oauth2_password' ? 'password' : 'client_credentials',
+      client_id: this.options.clientId,
+      client_secret: this.options.clientSecret,
+    };
+    if (this.options.type === 'oauth2_password') {
+      form.username = this.options.username;
+      form.password = this.options.password;
+    }
+    return form;
+  }
+
+  /**
+   * @memberof ServiceNowAuthenticator
+   * @method refreshForm
+   * @description Builds the form that exchanges a refresh token for a new token.
+   *
+   * @param {string} refreshToken - The cached refresh token.
+   *
+   * @return {object} The token request form.
+   */
+  refreshForm(refreshToken) {
+    return {
+      grant_type: 'refresh_token',
+      client_id: this.options.clientId,
+      client_secret: this.options.clientSecret,
+      refresh_token: refreshToken,
+    };
+  }
+
+  /**
+   * @memberof ServiceNowAuthenticator
+   * @method requestToken
+   * @description Posts a form to the OAuth token endpoint and caches the
+   *   returned token. A token without expires_in is assumed to live 30 minutes.
+   *
+   * @param {object} form - The token request form.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {string} callback.data - The access token.
+   * @param {error} callback.error - The error property of callback. Carries
+   *   the statusCode of a rejected token request.
+   */
+  requestToken(form, callback) {
+    this.transport.request({
+      method: 'POST',
+      url: `${this.baseUrl.replace(/\/+$/, '')}${TOKEN_PATH}`,
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json',
+      },
+      body: querystring.stringify(form),
+    }, (error, response, body) => {
+      if (error) {
+        log.error('ServiceNow: OAuth token request failed.');
+        return callback(null, error);
+      }
+      if (!validResponseRegex.test(response.statusCode)) {
+        const statusError = new Error(`ServiceNow OAuth token request failed with status ${response.statusCode}.`);
+        statusError.statusCode = response.statusCode;
+        log.error(statusError.message);
+        return callback(null, statusError);
+      }
+
+      let token;
+      try {
+        token = JSON.parse(body);
+      } catch (parseError) {
+        log.error('ServiceNow: OAuth token response is not JSON.');
+        return callback(null, parseError);
+      }
+      if (!token || typeof token.access_token !== 'string' || !token.access_token) {
+        log.error('ServiceNow: OAuth token response has no access_token.');
+        return callback(null, new Error('ServiceNow OAuth token response has no access_token.'));
+      }
+      this.token = {
+        accessToken: token.access_token,
+        // A refresh grant may not return a new refresh token; keep the old one.
+        refreshToken: token.refresh_token || (this.token && this.token.refreshToken),
+        expiresAt: Date.now() + (Number(token.expires_in) || DEFAULT_TOKEN_LIFETIME) * 1000,
+      };
+      log.debug('ServiceNow: Cached a new OAuth access token.');
+      return callback(this.token.accessToken, null);
+    });
+  }
+}
+
+module.exports = ServiceNowAuthenticator;
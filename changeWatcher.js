@@ -0,0 +1,453 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events').EventEmitter;
+const { addPromiseSupport } = require(path.join(__dirname, '/promises.js'));
+
+// ServiceNow stores sys_updated_on in UTC with second precision.
+const updatedOnRegex = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+// Records requested per page when the connector sets no pageSize.
+const DEFAULT_PAGE_SIZE = 100;
+
+// The watermark of an empty table: every record added later is new.
+const EPOCH = '1970-01-01 00:00:00';
+
+// Settings used for any option the watch property omits. Times are in milliseconds.
+const DEFAULT_WATCH = {
+  interval: 60000,
+  skew: 60000,
+  retention: 7 * 24 * 60 * 60 * 1000,
+  maxTracked: 10000,
+};
+
+/**
+ * The events a ChangeWatcher emits for changed records.
+ */
+const WATCH_EVENTS = ['changeCreated', 'changeUpdated', 'changeStateChanged', 'watchError'];
+
+/**
+ * @function shiftTime
+ * @description Moves a ServiceNow UTC time by a number of milliseconds.
+ *
+ * @param {string} value - A time such as 2024-05-01 02:00:00.
+ * @param {number} milliseconds - How far to move it. Negative moves it back.
+ *
+ * @return {string} The moved time in the same format.
+ */
+function shiftTime(value, milliseconds) {
+  const time = new Date(`${value.replace(' ', 'T')}Z`).getTime() + milliseconds;
+  return new Date(Math.max(time, 0)).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * @function diffTickets
+ * @description Lists the properties whose values differ between two
+ *   versions of a document.
+ *
+ * @param {object} previous - The version seen before.
+ * @param {object} ticket - The current version.
+ *
+ * @return {object} The old and new value of each changed property, keyed
+ *   by property.
+ */
+function diffTickets(previous, ticket) {
+  const changes = {};
+  new Set([...Object.keys(previous), ...Object.keys(ticket)]).forEach((property) => {
+    if (JSON.stringify(previous[property]) !== JSON.stringify(ticket[property])) {
+      changes[property] = { old: previous[property], new: ticket[property] };
+    }
+  });
+  return changes;
+}
+
+/**
+ * @function recordVersion
+ * @description Reduces a ticket to what later diffs compare. The key and
+ *   number identify the record and never change, so they are left out.
+ *
+ * @param {FieldMapping} mapping - The watched table's field mapping.
+ * @param {object} ticket - The normalized ticket.
+ *
+ * @return {object} The ticket without its key and number.
+ */
+function recordVersion(mapping, ticket) {
+  const { keyProperty, numberProperty } = mapping.definition;
+  const { [keyProperty]: key, [numberProperty]: number, ...version } = ticket;
+  return version;
+}
+
+/**
+ * The ChangeWatcher class.
+ *
+ * @summary Change Ticket Event Watcher
+ * @description This class polls a table for records whose sys_updated_on
+ *   is at or after a watermark and emits an event for each new or changed
+ *   record. The watermark is ServiceNow's own time, so the adapter's clock
+ *   does not matter. Each poll reaches back options.skew milliseconds
+ *   before the watermark to catch records whose update committed late;
+ *   versions already seen there are suppressed. The watermark and the last
+ *   seen version of each record are saved to options.stateFile, so a
+ *   restarted watcher resumes without missing or repeating events. Seen
+ *   versions are forgotten once inactive, older than options.retention, or
+ *   beyond options.maxTracked, so memory and the state file stay bounded;
+ *   a forgotten record's next update is reported without its previous
+ *   version.
+ *
+ *   Events carry the change_ticket_key, the normalized ticket, the record's
+ *   updated_on time, and source poll:
+ *   - changeCreated: a record created since the watermark.
+ *   - changeUpdated: a changed record. previous and changes hold the last
+ *     seen version and the old and new value of each changed property; both
+ *     are null for a record the watcher had not seen before.
+ *   - changeStateChanged: emitted after changeUpdated when the state
+ *     changed, with old_state and new_state.
+ *   - watchError: a poll failed. The next poll retries.
+ */
+class ChangeWatcher extends EventEmitter {
+
+  /**
+   * @memberof ChangeWatcher
+   * @constructs
+   * @description Creates a stopped watcher. Throws an error for an invalid
+   *   since option.
+   *
+   * @param {ServiceNowConnector} connector - The connector of the watched table.
+   * @param {FieldMapping} mapping - Maps the table's records to documents.
+   * @param {object} [options] - The watch adapter property.
+   * @param {number} [options.interval=60000] - Milliseconds between polls.
+   * @param {number} [options.skew=60000] - Milliseconds each poll reaches
+   *   back before the watermark.
+   * @param {number} [options.retention=604800000] - Milliseconds a record's
+   *   last seen version is kept after its update. At least options.skew.
+   * @param {number} [options.maxTracked=10000] - Most seen versions kept.
+   *   The least recently updated are forgotten first, except those inside
+   *   the skew window.
+   * @param {string} [options.stateFile] - File that keeps the watermark and
+   *   seen versions across restarts. Without it they are kept in memory.
+   * @param {string} [options.since] - The first watermark, as
+   *   YYYY-MM-DD HH:MM:SS in UTC. Defaults to the newest record's
+   *   sys_updated_on, so only later changes raise events.
+   */
+  constructor(connector, mapping, options = {}) {
+    super();
+    this.connector = connector;
+    this.mapping = mapping;
+    this.interval = options.interval || DEFAULT_WATCH.interval;
+    this.skew = options.skew !== undefined ? options.skew : DEFAULT_WATCH.skew;
+    this.retention = Math.max(options.retention || DEFAULT_WATCH.retention, this.skew);
+    this.maxTracked = options.maxTracked || DEFAULT_WATCH.maxTracked;
+    this.stateFile = options.stateFile || null;
+    if (options.since !== undefined && !updatedOnRegex.test(options.since)) {
+      throw new Error(`Watch since ${options.since} is not a time as YYYY-MM-DD HH:MM:SS.`);
+    }
+    this.watermark = options.since || null;
+    // The last seen version of each record, keyed by record key.
+    this.seen = {};
+    // Whether the watermark or seen versions changed since the last save.
+    this.dirty = false;
+    this.running = false;
+    this.timer = null;
+    this.loadState();
+  }
+
+  /**
+   * @memberof ChangeWatcher
+   * @method start
+   * @description Polls at once, then every options.interval milliseconds
+   *   after each poll completes, until stop() is called.
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    const run = () => this.poll((summary, error) => {
+      if (error) {
+        log.error(`ServiceNow: Change watch poll failed. ${error.message || error}`);
+        this.emit('watchError', error);
+      }
+      if (!this.running) {
+        return;
+      }
+      this.timer = setTimeout(run, this.interval);
+      // The timer alone must not keep the Node.js process alive.
+      this.timer.unref();
+    });
+    run();
+  }
+
+  /**
+   * @memberof ChangeWatcher
+   * @method stop
+   * @description Stops polling. A poll in flight still completes and emits
+   *   its events.
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @memberof ChangeWatcher
+   * @method poll
+   * @description Reads the records updated since the watermark, less the
+   *   skew, oldest first, emits their events, and saves the state. The first
+   *   poll without a watermark only records where the table stands.
+   *
+   * @param {iapCallback} callback - Callback a function.
+   * @param {object} callback.data - The poll's events count and new watermark.
+   * @param {error} callback.error - The error property of callback.
+   */
+  poll(callback) {
+    if (this.watermark !== null) {
+      return this.readChanges(true, callback);
+    }
+    const newest = {
+      fields: ['sys_updated_on'],
+      orderBy: 'sys_updated_on',
+      orderDirection: 'desc',
+      limit: 1,
+    };
+    return this.connector.get(newest, (response, error) => {
+      if (error) {
+        return callback(null, error);
+      }
+      try {
+        const [record] = JSON.parse(response.body).result;
+        this.watermark = record ? record.sys_updated_on : EPOCH;
+        this.dirty = true;
+      } catch (parseError) {
+        return callback(null, parseError);
+      }
+      // Versions inside the skew window are recorded so they are not reported later.
+      return this.readChanges(false, callback);
+    });
+  }
+
+  /**
+   * @memberof ChangeWatcher
+   * @method readChanges
+   * @description Does the work of poll() once a watermark is known.
+   *
+   * @param {boolean} notify - Emit events. False only records versions.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {object} callback.data - The poll's events count and new watermark.
+   * @param {error} callback.error - The error property of callback.
+   */
+  readChanges(notify, callback) {
+    const windowStart = shiftTime(this.watermark, -this.skew);
+    const fields = [...this.mapping.columns(), 'sys_created_on', 'sys_updated_on'];
+    const limit = this.connector.options.pageSize || DEFAULT_PAGE_SIZE;
+    let events = 0;
+
+    const finish = () => {
+      this.prune();
+      return this.saveState((saved, saveError) => {
+        if (saveError) {
+          return callback(null, saveError);
+        }
+        return callback({ events, watermark: this.watermark }, null);
+      });
+    };
+
+    // Pages follow the last record read rather than an offset. A record
+    // updated during the walk moves behind the cursor without shifting the
+    // records not yet read. A cursor with a key reads the rest of the
+    // records updated at its time; one without reads the records after it.
+    const readPage = (filter, cursor) => this.connector.get({ filter, fields, limit }, (response, error) => {
+      if (error) {
+        return callback(null, error);
+      }
+      let records;
+      try {
+        records = JSON.parse(response.body).result;
+      } catch (parseError) {
+        return callback(null, parseError);
+      }
+      if (!Array.isArray(records)) {
+        return callback(null, new Error('ServiceNow returned a change page without a result array.'));
+      }
+      records.forEach((record) => {
+        events += this.processRecord(record, windowStart, notify);
+      });
+      if (records.length === limit) {
+        const last = records[records.length - 1];
+        return readPage(`sys_updated_on=${last.sys_updated_on}^sys_id>${last.sys_id}^ORDERBYsys_id`, last);
+      }
+      if (cursor) {
+        return readPage(`sys_updated_on>${cursor.sys_updated_on}^ORDERBYsys_updated_on^ORDERBYsys_id`, null);
+      }
+      return finish();
+    });
+    return readPage(`sys_updated_on>=${windowStart}^ORDERBYsys_updated_on^ORDERBYsys_id`, null);
+  }
+
+  /**
+   * @memberof ChangeWatcher
+   * @method processRecord
+   * @description Compares a record with its last seen version, records it,
+   *   and emits its events. A version already seen is skipped, as is an
+   *   update of columns the mapping does not include.
+   *
+   * @param {object} record - The record read from ServiceNow.
+   * @param {string} windowStart - The start of the poll's window.
+   * @param {boolean} notify - Emit events.
+   *
+   * @return {number} The number of events emitted.
+   */
+  processRecord(record, windowStart, notify) {
+    const ticket = this.mapping.normalize(record);
+    const key = ticket[this.mapping.definition.keyProperty];
+    const updatedOn = record.sys_updated_on;
+    const known = this.seen[key];
+    if (known && known.updated_on > updatedOn) {
+      return 0;
+    }
+    const version = recordVersion(this.mapping, ticket);
+    if (!known || known.updated_on !== updatedOn) {
+      this.dirty = true;
+    }
+    this.seen[key] = { updated_on: updatedOn, ticket: version };
+    if (updatedOn > this.watermark) {
+      this.watermark = updatedOn;
+    }
+    if (!notify) {
+      return 0;
+    }
+
+    const event = {
+      source: 'poll',
+      change_ticket_key: key,
+      ticket,
+      updated_on: updatedOn,
+    };
+    if (!known) {
+      // Unseen records created inside the window are new, even when they committed late.
+      if (record.sys_created_on >= windowStart) {
+        this.emit('changeCreated', event);
+      } else {
+        this.emit('changeUpdated', { ...event, previous: null, changes: null });
+      }
+      return 1;
+    }
+    const changes = diffTickets(known.ticket, version);
+    if (!Object.keys(changes).length) {
+      return 0;
+    }
+    const { keyProperty, numberProperty } = this.mapping.definition;
+    const previous = { ...known.ticket, [keyProperty]: key, [numberProperty]: ticket[numberProperty] };
+    this.emit('changeUpdated', { ...event, previous, changes });
+    if (!changes.state) {
+      return 1;
+    }
+    this.emit('changeStateChanged', {
+      ...event,
+      previous,
+      old_state: changes.state.old,
+      new_state: changes.state.new,
+    });
+    return 2;
+  }
+
+  /**
+   * @memberof ChangeWatcher
+   * @method prune
+   * @description Forgets seen versions the next poll does not need:
+   *   inactive records last updated before the next poll's window, which
+   *   cannot be seen again unless they change, and records last updated
+   *   more than options.retention before the watermark. Beyond
+   *   options.maxTracked, the least recently updated records outside the
+   *   window are forgotten too.
+   */
+  prune() {
+    const windowStart = shiftTime(this.watermark, -this.skew);
+    const retainedFrom = shiftTime(this.watermark, -this.retention);
+    const forget = (key) => {
+      delete this.seen[key];
+      this.dirty = true;
+    };
+    Object.keys(this.seen).forEach((key) => {
+      const { updated_on: updatedOn, ticket } = this.seen[key];
+      if (updatedOn < retainedFrom || (ticket.active === false && updatedOn < windowStart)) {
+        forget(key);
+      }
+    });
+
+    const excess = Object.keys(this.seen).length - this.maxTracked;
+    if (excess > 0) {
+      // Versions inside the window are kept, or their records would be reported again.
+      Object.keys(this.seen)
+        .filter(key => this.seen[key].updated_on < windowStart)
+        .sort((a, b) => this.seen[a].updated_on.localeCompare(this.seen[b].updated_on))
+        .slice(0, excess)
+        .forEach(forget);
+    }
+  }
+
+  /**
+   * @memberof ChangeWatcher
+   * @method loadState
+   * @description Restores the watermark and seen versions from
+   *   options.stateFile. A missing file leaves the watcher fresh; an
+   *   unreadable one is logged and ignored.
+   */
+  loadState() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) {
+      return;
+    }
+    try {
+      const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      if (!updatedOnRegex.test(state.watermark)) {
+        throw new Error('It has no valid watermark.');
+      }
+      this.watermark = state.watermark;
+      this.seen = state.seen || {};
+      // Files saved by earlier versions kept each ticket whole.
+      Object.keys(this.seen).forEach((key) => {
+        this.seen[key].ticket = recordVersion(this.mapping, this.seen[key].ticket);
+      });
+    } catch (error) {
+      log.warn(`ServiceNow: Ignoring change watch state ${this.stateFile}. ${error.message}`);
+    }
+  }
+
+  /**
+   * @memberof ChangeWatcher
+   * @method saveState
+   * @description Writes the watermark and seen versions to
+   *   options.stateFile when they changed since the last save. The file is
+   *   replaced by a rename, so a crash never leaves it half written.
+   *
+   * @param {iapCallback} callback - Callback a function.
+   * @param {error} callback.error - The error property of callback.
+   */
+  saveState(callback) {
+    if (!this.stateFile || !this.dirty) {
+      return callback(true, null);
+    }
+    this.dirty = false;
+    const temporaryFile = `${this.stateFile}.${process.pid}.tmp`;
+    const state = JSON.stringify({ watermark: this.watermark, seen: this.seen });
+    return fs.writeFile(temporaryFile, state, (writeError) => {
+      if (writeError) {
+        this.dirty = true;
+        return callback(null, writeError);
+      }
+      return fs.rename(temporaryFile, this.stateFile, (renameError) => {
+        if (renameError) {
+          this.dirty = true;
+        }
+        callback(!renameError, renameError || null);
+      });
+    });
+  }
+}
+
+// poll() returns a promise when called without a callback.
+addPromiseSupport(ChangeWatcher, ['poll']);
+
+ChangeWatcher.WATCH_EVENTS = WATCH_EVENTS;
+ChangeWatcher.diffTickets = diffTickets;
+
+module.exports = ChangeWatcher;
@@ -1,7 +1,76 @@
-const request = require('request');
+const fs = require('fs');
+const path = require('path');
+const querystring = require('querystring');
+const stream = require('stream');
+const { addPromiseSupport } = require(path.join(__dirname, '/promises.js'));
+const { detectContentType } = require(path.join(__dirname, '/contentTypes.js'));
+const ServiceNowAuthenticator = require(path.join(__dirname, '/auth.js'));
+const HttpTransport = require(path.join(__dirname, '/transport.js'));
+const RateLimiter = require(path.join(__dirname, '/rateLimiter.js'));
+const ResponseCache = require(path.join(__dirname, '/responseCache.js'));
 
 const validResponseRegex = /(2\d\d)/;
 
+// ServiceNow column names may only contain word characters and dot-walks.
+const validFieldRegex = /^[A-Za-z0-9_.]+$/;
+
+// ServiceNow table names are word characters only.
+const validTableRegex = /^[A-Za-z0-9_]+$/;
+
+// ServiceNow record keys (sys_id) are 32 hexadecimal characters.
+const validSysIdRegex = /^[0-9a-f]{32}$/i;
+
+// Matches the next page's URL in a ServiceNow Link response header.
+const nextLinkRegex = /<([^>]+)>\s*;\s*rel="?next"?/;
+
+// Change models of the Change Management API. Standard changes come from a template.
+const CHANGE_MODELS = ['normal', 'emergency', 'standard'];
+
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_MAX_RECORDS = 10000;
+
+// Bytes an attachment upload or download may hold unless options.attachments says otherwise.
+const DEFAULT_MAX_ATTACHMENT_SIZE = 50 * 1024 * 1024;
+
+// Milliseconds a call may take across all of its attempts.
+const DEFAULT_OVERALL_TIMEOUT = 120000;
+
+// Retry policy used for any setting missing from options.retry.
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  jitter: 0.2,
+  retryableStatusCodes: [429, 502, 503, 504],
+  retryableErrorCodes: ['ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'],
+  retryNonIdempotent: false,
+};
+
+// The error processRequestResults() reports for a hibernating instance.
+const HIBERNATING_ERROR = 'Hibernating instance';
+
+// Re-sending these methods could create duplicate records.
+const NON_IDEMPOTENT_METHODS = ['POST'];
+
+// Journal columns append each value written to them, so re-sending a PATCH
+// that writes one could add the entry twice.
+const JOURNAL_COLUMNS = ['work_notes', 'comments'];
+
+/**
+ * @function attachmentTooLarge
+ * @description Builds the error for an attachment over a size limit.
+ *
+ * @param {string} name - The attachment's file name or key.
+ * @param {number} size - The attachment's size, or the bytes read so far.
+ * @param {number} maxSize - The limit in bytes.
+ *
+ * @return {Error} An error with code EFBIG.
+ */
+function attachmentTooLarge(name, size, maxSize) {
+  const error = new Error(`Attachment ${name} is larger than the ${maxSize} byte limit (${size} bytes).`);
+  error.code = 'EFBIG';
+  return error;
+}
 
 /**
  * The ServiceNowConnector class.
@@ -20,14 +89,60 @@ class ServiceNowConnector {
    *
    * @param {object} options - API instance options.
    * @param {string} options.url - Your ServiceNow Developer instance's URL.
-   * @param {string} options.username - Username to your ServiceNow instance.
-   * @param {string} options.password - Your ServiceNow user's password.
+   * @param {string} [options.username] - Username to your ServiceNow instance.
+   * @param {string} [options.password] - Your ServiceNow user's password.
+   * @param {object} [options.auth] - Authentication options passed to
+   *   ServiceNowAuthenticator. Defaults to basic auth with username and password.
    * @param {string} options.serviceNowTable - The table target of the ServiceNow table API.
+   * @param {number} [options.pageSize=100] - Records requested per page by getPages().
+   * @param {number} [options.maxRecords=10000] - Hard cap on records returned by getPages().
+   * @param {ServiceNowConnector~retryPolicy} [options.retry] - Overrides for
+   *   the default retry policy.
+   * @param {object} [options.transportOptions] - Options for HttpTransport:
+   *   requestTimeout, keepAlive, maxSockets, proxy, ca, and rejectUnauthorized.
+   * @param {number} [options.transportOptions.overallTimeout=120000] -
+   *   Milliseconds a call may take across all of its attempts.
+   * @param {object} [options.transport] - Replaces HttpTransport, for example
+   *   with a fake in tests. It must implement HttpTransport's request() method.
+   * @param {object} [options.throttle] - Options for RateLimiter:
+   *   requestsPerSecond, burst, maxConcurrent, maxQueueDepth, and queueTimeout.
+   * @param {object} [options.attachments] - Attachment size limits.
+   * @param {number} [options.attachments.maxUploadSize=52428800] - Largest
+   *   attachment uploadAttachment() sends, in bytes.
+   * @param {number} [options.attachments.maxDownloadSize=52428800] - Largest
+   *   attachment downloadAttachment() reads, in bytes.
+   * @param {object} [options.cache] - Options for ResponseCache, which
+   *   caches get() responses when options.cache.enabled is true.
    */
   constructor(options) {
     this.options = options;
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...options.retry };
+    this.transport = options.transport || new HttpTransport(options.transportOptions);
+    this.rateLimiter = new RateLimiter(options.throttle);
+    this.authenticator = new ServiceNowAuthenticator({
+      username: options.username,
+      password: options.password,
+      ...options.auth,
+    }, options.url, this.transport);
+    this.cache = options.cache && options.cache.enabled ? new ResponseCache(options.cache) : null;
   }
 
+  /**
+   * @typedef {object} ServiceNowConnector~retryPolicy
+   * @property {number} [maxAttempts=3] - Total attempts per request, including
+   *   the first. Set to 1 to disable retries.
+   * @property {number} [baseDelay=500] - Milliseconds before the first retry.
+   *   The delay doubles on each further retry.
+   * @property {number} [maxDelay=30000] - Longest delay in milliseconds. A
+   *   longer Retry-After ends the retries.
+   * @property {number} [jitter=0.2] - Fraction of the delay randomly added or
+   *   subtracted so clients do not retry in lockstep.
+   * @property {number[]} [retryableStatusCodes] - HTTP status codes to retry.
+   * @property {string[]} [retryableErrorCodes] - Socket error codes to retry.
+   * @property {boolean} [retryNonIdempotent=false] - When true, POST requests
+   *   are retried too, which may create duplicate records.
+   */
+
   /**
    * @callback iapCallback
    * @description A [callback function]{@link
@@ -40,7 +155,86 @@ class ServiceNowConnector {
    *   single argument to callback function.
    * @param {error} [errorMessage] - If an error is caught, return error
    *   message in optional second argument to callback function.
+   *
+   * Methods that take an iapCallback return a promise when it is omitted.
+   * The promise resolves with responseData or rejects with an Error built
+   * from errorMessage.
+   */
+
+  /**
+   * @typedef {object} ServiceNowConnector~queryOptions
+   * @property {string} [filter] - A ServiceNow encoded query, such as
+   *   `active=true^priority=1`.
+   * @property {number} [limit] - Maximum number of records to return (sysparm_limit).
+   * @property {number} [offset] - Number of records to skip (sysparm_offset).
+   * @property {string} [orderBy] - Column used to sort the results.
+   * @property {string} [orderDirection=asc] - Sort direction, either asc or desc.
+   * @property {(string|string[])} [fields] - Columns to return (sysparm_fields).
+   */
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method buildQuery
+   * @description Converts a query options object into a URL-encoded query
+   *   string for the ServiceNow table API. Throws an error if an option
+   *   holds a value ServiceNow would not accept.
+   *
+   * @param {ServiceNowConnector~queryOptions} queryOptions - Query options.
+   *
+   * @return {string} URL query string. Empty when no options are set.
    */
+  buildQuery(queryOptions) {
+    const params = {};
+    const encodedQuery = [];
+
+    if (queryOptions.filter !== undefined && queryOptions.filter !== null && queryOptions.filter !== '') {
+      if (typeof queryOptions.filter !== 'string') {
+        throw new Error('Query option filter must be an encoded query string.');
+      }
+      encodedQuery.push(queryOptions.filter);
+    }
+    if (queryOptions.orderBy) {
+      if (!validFieldRegex.test(queryOptions.orderBy)) {
+        throw new Error(`Query option orderBy has an invalid column name: ${queryOptions.orderBy}`);
+      }
+      const direction = (queryOptions.orderDirection || 'asc').toLowerCase();
+      if (direction !== 'asc' && direction !== 'desc') {
+        throw new Error('Query option orderDirection must be asc or desc.');
+      }
+      encodedQuery.push(`${direction === 'desc' ? 'ORDERBYDESC' : 'ORDERBY'}${queryOptions.orderBy}`);
+    }
+    if (encodedQuery.length) {
+      params.sysparm_query = encodedQuery.join('^');
+    }
+
+    ['limit', 'offset'].forEach((option) => {
+      const value = queryOptions[option];
+      if (value === undefined || value === null) {
+        return;
+      }
+      if (!Number.isInteger(Number(value)) || Number(value) < 0 || value === '') {
+        throw new Error(`Query option ${option} must be a non-negative integer.`);
+      }
+      params[`sysparm_${option}`] = Number(value);
+    });
+
+    if (queryOptions.fields) {
+      const fields = Array.isArray(queryOptions.fields)
+        ? queryOptions.fields
+        : String(queryOptions.fields).split(',');
+      const columns = fields.map(field => String(field).trim()).filter(field => field);
+      columns.forEach((column) => {
+        if (!validFieldRegex.test(column)) {
+          throw new Error(`Query option fields has an invalid column name: ${column}`);
+        }
+      });
+      if (columns.length) {
+        params.sysparm_fields = columns.join(',');
+      }
+    }
+
+    return querystring.stringify(params);
+  }
 
   /**
    * @memberof ServiceNowConnector
@@ -48,13 +242,27 @@ class ServiceNowConnector {
    * @description Build and return the proper URI by appending an optionally passed
    *   [URL query string]{@link https://en.wikipedia.org/wiki/Query_string}.
    *
-   * @param {string} serviceNowTable - The table target of the ServiceNow table API.
-   * @param {string} [query] - Optional URL query string.
+   * @param {(string|ServiceNowConnector~queryOptions)} [query] - Optional URL
+   *   query string, or query options that are encoded by buildQuery().
+   * @param {string} [sysId] - Optional key of a single record to target.
+   * @param {string} [resource] - Optional path under the API namespace,
+   *   such as attachment, to target instead of the table API.
+   * @param {string} [api=now] - The REST API namespace under /api, such as
+   *   sn_chg_rest for the Change Management API.
    *
    * @return {string} ServiceNow URL
    */
-  constructUri(query = null) {
-    let uri = `/api/now/table/${this.options.serviceNowTable}`;
+  constructUri(query = null, sysId = null, resource = null, api = 'now') {
+    let uri = resource ? `/api/${api}/${resource}` : `/api/now/table/${this.options.serviceNowTable}`;
+    if (sysId) {
+      if (!validSysIdRegex.test(sysId)) {
+        throw new Error(`Invalid record key: ${sysId}`);
+      }
+      uri = `${uri}/${sysId}`;
+    }
+    if (query && typeof query === 'object') {
+      query = this.buildQuery(query);
+    }
     if (query) {
         uri = uri + '?' + query;
     }
@@ -66,15 +274,16 @@ class ServiceNowConnector {
   /**
    * @memberof ServiceNowConnector
    * @method isHibernating
-   * @description Checks if request function responded with evidence of
+   * @description Checks if the transport's request function responded with evidence of
    *   a hibernating ServiceNow instance.
    *
-   * @param {object} response - The response argument passed by the request function in its callback.
+   * @param {object} response - The response argument passed by the transport's request function in its callback.
    *
    * @return {boolean} Returns true if instance is hibernating. Otherwise returns false.
    */
   isHibernating(response) {
-    return response.body.includes('Instance Hibernating page')
+    return typeof response.body === 'string'
+    && response.body.includes('Instance Hibernating page')
     && response.body.includes('<html>')
     && response.statusCode === 200;
   }
@@ -86,9 +295,9 @@ class ServiceNowConnector {
    *   a hibernating instance. If any of those conditions are detected, return an error.
    *   Else return the API's response.
    *
-   * @param {error} error - The error argument passed by the request function in its callback.
-   * @param {object} response - The response argument passed by the request function in its callback.
-   * @param {string} body - The HTML body argument passed by the request function in its callback.
+   * @param {error} error - The error argument passed by the transport's request function in its callback.
+   * @param {object} response - The response argument passed by the transport's request function in its callback.
+   * @param {string} body - The HTML body argument passed by the transport's request function in its callback.
    * @param {iapCallback} callback - Callback a function.
    * @param {(object|string)} callback.data - The API's response. Will be an object if sunnyday path.
    *   Will be HTML text if hibernating instance.
@@ -102,7 +311,7 @@ class ServiceNowConnector {
         log.error('Error present.');
         callbackError = error;
     } else if (this.isHibernating(response)) {
-        callbackError = "Hibernating instance";
+        callbackError = HIBERNATING_ERROR;
         log.error(callbackError);
     } else if (!validResponseRegex.test(response.statusCode)) {
         log.error('Bad response code.');
@@ -114,17 +323,111 @@ class ServiceNowConnector {
     return callback(callbackData, callbackError);
   }
 
+  /**
+   * @memberof ServiceNowConnector
+   * @method retryAfterDelay
+   * @description Reads a response's Retry-After header, which holds either
+   *   seconds or an HTTP date.
+   *
+   * @param {object} [response] - The response argument passed by the transport's request function.
+   *
+   * @return {(number|null)} The delay in milliseconds, or null without a valid header.
+   */
+  retryAfterDelay(response) {
+    const header = response && response.headers && response.headers['retry-after'];
+    if (!header) {
+      return null;
+    }
+    if (/^\d+$/.test(header.trim())) {
+      return Number(header) * 1000;
+    }
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method retryDelay
+   * @description Decides whether a failed attempt should be retried under
+   *   the retry policy and how long to wait first.
+   *
+   * @param {object} callOptions - The call options passed to sendRequest().
+   * @param {number} attempt - The number of the attempt that just finished.
+   * @param {error} error - The error argument passed by the transport's request function.
+   * @param {object} response - The response argument passed by the transport's request function.
+   *
+   * @return {(number|null)} Milliseconds to wait before retrying, or null to stop.
+   */
+  retryDelay(callOptions, attempt, error, response) {
+    const policy = this.retryPolicy;
+    const retryNonIdempotent = callOptions.retryNonIdempotent !== undefined
+      ? callOptions.retryNonIdempotent
+      : policy.retryNonIdempotent;
+
+    if (attempt >= (callOptions.maxAttempts || policy.maxAttempts)) {
+      return null;
+    }
+    const idempotent = callOptions.idempotent !== undefined
+      ? callOptions.idempotent
+      : !NON_IDEMPOTENT_METHODS.includes(callOptions.method);
+    if (!idempotent && !retryNonIdempotent) {
+      return null;
+    }
+    if (error) {
+      if (!policy.retryableErrorCodes.includes(error.code)) {
+        return null;
+      }
+    } else if (!policy.retryableStatusCodes.includes(response.statusCode)) {
+      return null;
+    }
+
+    const retryAfter = this.retryAfterDelay(response);
+    if (retryAfter !== null) {
+      return retryAfter <= policy.maxDelay ? retryAfter : null;
+    }
+    const backoff = Math.min(policy.maxDelay, policy.baseDelay * (2 ** (attempt - 1)));
+    return Math.round(backoff * (1 + policy.jitter * ((Math.random() * 2) - 1)));
+  }
+
   /**
    * @memberof ServiceNowConnector
    * @method sendRequest
-   * @description Builds final options argument for request function
-   *   from global const options and parameter callOptions.
-   *   Executes request call, then verifies response.
+   * @description Builds final options argument for the transport's request
+   *   function from global const options and parameter callOptions.
+   *   Adds credentials for the configured authentication type, waits for
+   *   the rate limiter, executes request call, retrying transient failures
+   *   under the retry policy,
+   *   then verifies response. The call fails with code ETIMEDOUT when all
+   *   attempts together exceed the overall timeout.
    *
    * @param {object} callOptions - Passed call options.
-   * @param {string} callOptions.query - URL query string.
+   * @param {(string|ServiceNowConnector~queryOptions)} callOptions.query - URL
+   *   query string or query options.
    * @param {string} callOptions.serviceNowTable - The table target of the ServiceNow table API.
-   * @param {string} callOptions.method - HTTP API request method.
+   * @param {string} callOptions.method - HTTP API request method: GET, POST,
+   *   PATCH, or DELETE.
+   * @param {string} [callOptions.sysId] - Key of the record targeted by PATCH or DELETE.
+   * @param {boolean} [callOptions.idempotent] - Whether the call may be
+   *   re-sent safely. Defaults to true for every method except POST.
+   * @param {boolean} [callOptions.retryNonIdempotent] - Overrides the retry
+   *   policy's retryNonIdempotent setting for this call.
+   * @param {number} [callOptions.maxAttempts] - Overrides the retry policy's
+   *   maxAttempts setting for this call.
+   * @param {object} [callOptions.body] - Record fields sent as the JSON request body.
+   * @param {string} [callOptions.api] - The REST API namespace of resource.
+   *   Defaults to now.
+   * @param {string} [callOptions.resource] - Path under the API namespace to
+   *   target instead of the table API. See constructUri().
+   * @param {object} [callOptions.upload] - Raw content sent instead of a
+   *   JSON body.
+   * @param {function} callOptions.upload.open - Returns the content, a Buffer
+   *   or a readable stream, afresh for each attempt.
+   * @param {number} callOptions.upload.size - The content's length in bytes.
+   * @param {string} callOptions.upload.contentType - The content's type.
+   * @param {object} [callOptions.headers] - Extra request headers, such as
+   *   If-None-Match.
+   * @param {boolean} [callOptions.streamResponse] - Pass a 2xx response on
+   *   unread so its body can be streamed.
    * @param {iapCallback} callback - Callback a function.
    * @param {(object|string)} callback.data - The API's response. Will be an object if sunnyday path.
    *   Will be HTML text if hibernating instance.
@@ -133,43 +436,253 @@ class ServiceNowConnector {
   sendRequest(callOptions, callback) {
     // Initialize return arguments for callback
     let uri;
-    if (callOptions.query)
-      uri = this.constructUri(callOptions.query);
-    else
-      uri = this.constructUri();
+    try {
+      if (callOptions.query)
+        uri = this.constructUri(callOptions.query, callOptions.sysId, callOptions.resource, callOptions.api);
+      else
+        uri = this.constructUri(null, callOptions.sysId, callOptions.resource, callOptions.api);
+    } catch (error) {
+      log.error(`Invalid query: ${error.message}`);
+      return callback(null, error);
+    }
     
     const requestOptions = {
       method: callOptions.method,
-      auth: {
-        user: this.options.username,
-        pass: this.options.password,
-      },
-      baseUrl: this.options.url,
-      uri: uri,
+      url: `${this.options.url.replace(/\/+$/, '')}${uri}`,
     };
-    
-    request(requestOptions, (error, response, body) => {
-      this.processRequestResults(error, response, body, (processedResults, processedError) => callback(processedResults, processedError));
+    if (callOptions.upload) {
+      requestOptions.headers = {
+        'Content-Type': callOptions.upload.contentType,
+        'Content-Length': callOptions.upload.size,
+        Accept: 'application/json',
+      };
+    } else if (callOptions.body) {
+      requestOptions.headers = {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+      };
+      requestOptions.body = JSON.stringify(callOptions.body);
+    }
+    if (callOptions.headers) {
+      requestOptions.headers = { ...requestOptions.headers, ...callOptions.headers };
+    }
+    if (callOptions.streamResponse) {
+      requestOptions.streamResponse = true;
+    }
+
+    const transportOptions = this.options.transportOptions || {};
+    const overallTimeout = transportOptions.overallTimeout || DEFAULT_OVERALL_TIMEOUT;
+    let done = false;
+    let inFlight = null;
+    let retryTimer = null;
+    const finish = (results, error) => {
+      if (done) {
+        return;
+      }
+      done = true;
+      clearTimeout(overallTimer);
+      clearTimeout(retryTimer);
+      callback(results, error);
+    };
+    const overallTimer = setTimeout(() => {
+      const timeoutError = new Error(`${callOptions.method} ${uri} did not complete within ${overallTimeout} ms.`);
+      timeoutError.code = 'ETIMEDOUT';
+      log.error(`ServiceNow: ${timeoutError.message}`);
+      finish(null, timeoutError);
+      if (inFlight) {
+        inFlight.abort();
+      }
+    }, overallTimeout);
+
+    const sendAttempt = (attempt, authorizedOptions, authError, release) => {
+      if (authError || done) {
+        release();
+        return authError ? finish(null, authError) : null;
+      }
+      // A stream is used up by an attempt, so each attempt opens the upload again.
+      const attemptOptions = callOptions.upload
+        ? { ...authorizedOptions, body: callOptions.upload.open() }
+        : authorizedOptions;
+      inFlight = this.transport.request(attemptOptions, (error, response, body) => {
+        release();
+        inFlight = null;
+        if (done) {
+          return null;
+        }
+        if (response && response.statusCode === 401) {
+          // A revoked or expired token must not be reused.
+          this.authenticator.invalidate();
+        }
+        const delay = this.retryDelay(callOptions, attempt, error, response);
+        if (delay !== null) {
+          log.warn(`ServiceNow: Attempt ${attempt} of ${callOptions.method} ${uri} failed with ${error ? error.code : response.statusCode}. Retrying in ${delay} ms.`);
+          retryTimer = setTimeout(() => attemptRequest(attempt + 1), delay);
+          return null;
+        }
+        return this.processRequestResults(error, response, body, finish);
+      });
+      return inFlight;
+    };
+    const attemptRequest = (attempt) => this.rateLimiter.acquire((release, queueError) => {
+      if (queueError) {
+        log.error(`ServiceNow: ${callOptions.method} ${uri} was not sent. ${queueError.message}`);
+        return finish(null, queueError);
+      }
+      return this.authenticator.authorize(requestOptions, (authorizedOptions, authError) => sendAttempt(attempt, authorizedOptions, authError, release));
     });
+    attemptRequest(1);
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method forTable
+   * @description Returns a connector for another table of the same
+   *   instance. It shares this connector's transport, rate limiter, and
+   *   authenticator, so requests to every table count against the same
+   *   limits and reuse the same OAuth token.
+   *
+   * @param {string} table - The ServiceNow table name, such as incident.
+   *
+   * @return {ServiceNowConnector} A connector whose requests target the table.
+   */
+  forTable(table) {
+    if (typeof table !== 'string' || !validTableRegex.test(table)) {
+      throw new Error(`Invalid table name: ${table}`);
+    }
+    return Object.create(this, {
+      options: { value: { ...this.options, serviceNowTable: table } },
+    });
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method getRequestStats
+   * @description Reports how many requests are waiting in the rate limiter's
+   *   queue and how many are in flight.
+   *
+   * @return {object} The rate limiter's stats.
+   */
+  getRequestStats() {
+    return this.rateLimiter.stats();
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method uncached
+   * @description Returns a connector for the same table whose get() always
+   *   asks ServiceNow, for readers that poll for changes. Its writes still
+   *   invalidate the shared cache.
+   *
+   * @return {ServiceNowConnector} A connector that reads around the cache.
+   */
+  uncached() {
+    return Object.create(this, {
+      cachedReads: { value: false },
+    });
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method clearCache
+   * @description Drops cached get() responses.
+   *
+   * @param {string} [table] - Only drop this table's responses.
+   *
+   * @return {number} The number of responses dropped. 0 without a cache.
+   */
+  clearCache(table) {
+    return this.cache ? this.cache.clear(table ? [table] : undefined) : 0;
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method invalidateCache
+   * @description Drops the cached responses a write to a table can make
+   *   stale. See ResponseCache's invalidate().
+   *
+   * @param {string} [table] - The table written to. Defaults to
+   *   options.serviceNowTable.
+   */
+  invalidateCache(table = this.options.serviceNowTable) {
+    if (this.cache) {
+      this.cache.invalidate(table);
+    }
   }
 
   /**
    * @memberof ServiceNowConnector
    * @method post
-   * @description Call the ServiceNow POST API. Sets the API call's method,
-   *   then calls sendRequest().
+   * @description Call the ServiceNow POST API. Sets the API call's method
+   *   and body, then calls sendRequest().
    *
-   * @param {object} callOptions - Passed call options.
-   * @param {string} callOptions.serviceNowTable - The table target of the ServiceNow table API.
+   * @param {object} [body] - Optional record fields, keyed by ServiceNow
+   *   column name, sent as JSON.
    * @param {iapCallback} callback - Callback a function.
    * @param {(object|string)} callback.data - The API's response. Will be an object if sunnyday path.
    *   Will be HTML text if hibernating instance.
    * @param {error} callback.error - The error property of callback.
    */
-  post(callback) {
+  post(body, callback) {
+    if (typeof body === 'function') {
+      callback = body;
+      body = null;
+    }
     let getCallOptions = { ...this.options };
     getCallOptions.method = 'POST';
-    this.sendRequest(getCallOptions, (results, error) => callback(results, error));
+    getCallOptions.body = body;
+    this.sendRequest(getCallOptions, (results, error) => {
+      this.invalidateCache();
+      callback(results, error);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method patch
+   * @description Call the ServiceNow PATCH API to update a single record.
+   *   Sets the API call's method, record key, and body, then calls sendRequest().
+   *   A PATCH that writes a journal column, such as work_notes, is not
+   *   idempotent and is retried only under retryNonIdempotent, like a POST.
+   *
+   * @param {string} sysId - The key (sys_id) of the record to update.
+   * @param {object} body - Record fields, keyed by ServiceNow column name, sent as JSON.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {(object|string)} callback.data - The API's response. Will be an object if sunnyday path.
+   *   Will be HTML text if hibernating instance.
+   * @param {error} callback.error - The error property of callback.
+   */
+  patch(sysId, body, callback) {
+    let patchCallOptions = { ...this.options };
+    patchCallOptions.method = 'PATCH';
+    patchCallOptions.sysId = sysId;
+    patchCallOptions.body = body;
+    patchCallOptions.idempotent = !Object.keys(body || {}).some(column => JOURNAL_COLUMNS.includes(column));
+    this.sendRequest(patchCallOptions, (results, error) => {
+      this.invalidateCache();
+      callback(results, error);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method delete
+   * @description Call the ServiceNow DELETE API to remove a single record.
+   *   Sets the API call's method and record key, then calls sendRequest().
+   *
+   * @param {string} sysId - The key (sys_id) of the record to delete.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {(object|string)} callback.data - The API's response. Will be an object if sunnyday path.
+   *   Will be HTML text if hibernating instance.
+   * @param {error} callback.error - The error property of callback.
+   */
+  delete(sysId, callback) {
+    let deleteCallOptions = { ...this.options };
+    deleteCallOptions.method = 'DELETE';
+    deleteCallOptions.sysId = sysId;
+    this.sendRequest(deleteCallOptions, (results, error) => {
+      this.invalidateCache();
+      callback(results, error);
+    });
   }
 
   /**
@@ -177,22 +690,620 @@ class ServiceNowConnector {
    * @method get
    * @summary Calls ServiceNow GET API
    * @description Call the ServiceNow GET API. Sets the API call's method and query,
-   *   then calls this.sendRequest(). In a production environment, this method
-   *   should have a parameter for passing limit, sort, and filter options.
-   *   We are ignoring that for this course and hardcoding a limit of one.
+   *   then calls this.sendRequest(). With options.cache enabled, a fresh
+   *   cached response is returned without a request, and an expired one
+   *   with an ETag or Last-Modified header is revalidated with a
+   *   conditional request.
    *
+   * @param {ServiceNowConnector~queryOptions} [queryOptions] - Optional filter,
+   *   limit, offset, sort, and field options.
    * @param {iapCallback} callback - Callback a function.
    * @param {(object|string)} callback.data - The API's response. Will be an object if sunnyday path.
    *   Will be HTML text if hibernating instance.
    * @param {error} callback.error - The error property of callback.
    */
-  get(callback) {
+  get(queryOptions, callback) {
+    if (typeof queryOptions === 'function') {
+      callback = queryOptions;
+      queryOptions = null;
+    }
     let getCallOptions = { ...this.options };
     getCallOptions.method = 'GET';
-    //getCallOptions.query = 'sysparm_limit=1';
-    this.sendRequest(getCallOptions, (results, error) => callback(results, error));
+    getCallOptions.query = queryOptions;
+    if (!this.cache || this.cachedReads === false) {
+      return this.sendRequest(getCallOptions, (results, error) => callback(results, error));
+    }
+
+    const table = this.options.serviceNowTable;
+    let query;
+    try {
+      query = queryOptions && typeof queryOptions === 'object' ? this.buildQuery(queryOptions) : (queryOptions || '');
+    } catch (error) {
+      log.error(`Invalid query: ${error.message}`);
+      return callback(null, error);
+    }
+    const cached = this.cache.lookup(table, query);
+    if (cached && cached.fresh) {
+      log.debug(`ServiceNow: Served ${table}?${query} from the cache.`);
+      return callback(cached.response, null);
+    }
+    if (cached) {
+      getCallOptions.headers = cached.validators;
+    }
+    // A write that finishes while this read is in flight makes its response stale.
+    const { generation } = this.cache;
+    return this.sendRequest(getCallOptions, (results, error) => {
+      if (cached && error && error.statusCode === 304) {
+        this.cache.refresh(table, query);
+        return callback(cached.response, null);
+      }
+      if (!error) {
+        this.cache.store(table, query, results, generation);
+      }
+      return callback(results, error);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method uploadAttachment
+   * @description Call the ServiceNow attachment API to attach a file to a
+   *   record. A file is streamed from disk rather than read into memory.
+   *   Content larger than options.attachments.maxUploadSize fails with code
+   *   EFBIG before anything is sent.
+   *
+   * @param {string} tableSysId - The key (sys_id) of the record to attach to.
+   * @param {(Buffer|string)} source - The content, or the path of a file to upload.
+   * @param {object} [uploadOptions] - Optional upload options.
+   * @param {string} [uploadOptions.fileName] - The attachment's file name.
+   *   Required for a Buffer; defaults to the file's name.
+   * @param {string} [uploadOptions.contentType] - The content type. Detected
+   *   from the file name or content when omitted.
+   * @param {string} [uploadOptions.tableName] - The record's table. Defaults
+   *   to options.serviceNowTable.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {(object|string)} callback.data - The API's response. Will be an object if sunnyday path.
+   * @param {error} callback.error - The error property of callback.
+   */
+  uploadAttachment(tableSysId, source, uploadOptions, callback) {
+    if (typeof uploadOptions === 'function') {
+      callback = uploadOptions;
+      uploadOptions = {};
+    }
+    const settings = uploadOptions || {};
+    if (typeof tableSysId !== 'string' || !validSysIdRegex.test(tableSysId)) {
+      return callback(null, new Error(`Invalid record key: ${tableSysId}`));
+    }
+    const send = (fileName, upload) => {
+      const maxSize = this.attachmentLimit('maxUploadSize');
+      if (upload.size > maxSize) {
+        return callback(null, attachmentTooLarge(fileName, upload.size, maxSize));
+      }
+      const uploadCallOptions = { ...this.options };
+      uploadCallOptions.method = 'POST';
+      uploadCallOptions.resource = 'attachment/file';
+      uploadCallOptions.query = querystring.stringify({
+        table_name: settings.tableName || this.options.serviceNowTable,
+        table_sys_id: tableSysId,
+        file_name: fileName,
+      });
+      uploadCallOptions.upload = upload;
+      return this.sendRequest(uploadCallOptions, (results, error) => callback(results, error));
+    };
+
+    if (Buffer.isBuffer(source)) {
+      if (!settings.fileName) {
+        return callback(null, new Error('A fileName is required to upload an attachment from a Buffer.'));
+      }
+      return send(settings.fileName, {
+        open: () => source,
+        size: source.length,
+        contentType: settings.contentType || detectContentType(settings.fileName, source),
+      });
+    }
+    if (typeof source !== 'string') {
+      return callback(null, new Error('An attachment must be a Buffer or a file path.'));
+    }
+    return fs.stat(source, (statError, stats) => {
+      if (statError) {
+        return callback(null, statError);
+      }
+      if (!stats.isFile()) {
+        return callback(null, new Error(`${source} is not a file.`));
+      }
+      const fileName = settings.fileName || path.basename(source);
+      return send(fileName, {
+        open: () => fs.createReadStream(source),
+        size: stats.size,
+        contentType: settings.contentType || detectContentType(fileName),
+      });
+    });
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method listAttachments
+   * @description Call the ServiceNow attachment API to list the attachment
+   *   records of a record, oldest first.
+   *
+   * @param {string} tableSysId - The key (sys_id) of the record.
+   * @param {string} [tableName] - The record's table. Defaults to options.serviceNowTable.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {(object|string)} callback.data - The API's response. Will be an object if sunnyday path.
+   * @param {error} callback.error - The error property of callback.
+   */
+  listAttachments(tableSysId, tableName, callback) {
+    if (typeof tableName === 'function') {
+      callback = tableName;
+      tableName = null;
+    }
+    if (typeof tableSysId !== 'string' || !validSysIdRegex.test(tableSysId)) {
+      return callback(null, new Error(`Invalid record key: ${tableSysId}`));
+    }
+    const table = tableName || this.options.serviceNowTable;
+    if (typeof table !== 'string' || !validTableRegex.test(table)) {
+      return callback(null, new Error(`Invalid table name: ${table}`));
+    }
+    const listCallOptions = { ...this.options };
+    listCallOptions.method = 'GET';
+    listCallOptions.resource = 'attachment';
+    listCallOptions.query = {
+      filter: `table_name=${table}^table_sys_id=${tableSysId}`,
+      orderBy: 'sys_created_on',
+    };
+    return this.sendRequest(listCallOptions, (results, error) => callback(results, error));
+  }
+
+  /**
+   * @typedef {object} ServiceNowConnector~attachmentDownload
+   * @property {string} contentType - The attachment's content type.
+   * @property {(number|null)} size - The content length in bytes, when ServiceNow sent one.
+   * @property {(object|null)} metadata - The attachment record from the
+   *   X-Attachment-Metadata header, when present.
+   * @property {stream.Readable} stream - The content. It fails with code
+   *   EFBIG if the content exceeds the download limit.
+   */
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method downloadAttachment
+   * @description Call the ServiceNow attachment API to download an
+   *   attachment's content as a stream. Content longer than
+   *   options.attachments.maxDownloadSize fails with code EFBIG: at once
+   *   when ServiceNow announces the length, else when the stream passes the limit.
+   *
+   * @param {string} attachmentSysId - The key (sys_id) of the attachment.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {ServiceNowConnector~attachmentDownload} callback.data - The download.
+   * @param {error} callback.error - The error property of callback.
+   */
+  downloadAttachment(attachmentSysId, callback) {
+    if (typeof attachmentSysId !== 'string' || !validSysIdRegex.test(attachmentSysId)) {
+      return callback(null, new Error(`Invalid attachment key: ${attachmentSysId}`));
+    }
+    const downloadCallOptions = { ...this.options };
+    downloadCallOptions.method = 'GET';
+    downloadCallOptions.resource = `attachment/${attachmentSysId}/file`;
+    downloadCallOptions.streamResponse = true;
+    return this.sendRequest(downloadCallOptions, (response, error) => {
+      if (error) {
+        return callback(null, error);
+      }
+      const maxSize = this.attachmentLimit('maxDownloadSize');
+      const size = response.headers['content-length'] !== undefined ? Number(response.headers['content-length']) : null;
+      if (size !== null && size > maxSize) {
+        response.destroy();
+        return callback(null, attachmentTooLarge(attachmentSysId, size, maxSize));
+      }
+      let metadata = null;
+      try {
+        metadata = JSON.parse(response.headers['x-attachment-metadata'] || 'null');
+      } catch (parseError) {
+        log.warn(`ServiceNow: Attachment ${attachmentSysId} has unreadable metadata.`);
+      }
+
+      let received = 0;
+      const limited = new stream.Transform({
+        transform(chunk, encoding, next) {
+          received += chunk.length;
+          return received > maxSize ? next(attachmentTooLarge(attachmentSysId, received, maxSize)) : next(null, chunk);
+        },
+      });
+      // pipeline() destroys the response when the consumer stops early or the limit is hit.
+      stream.pipeline(response, limited, () => {});
+      return callback({
+        contentType: response.headers['content-type'],
+        size,
+        metadata,
+        stream: limited,
+      }, null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method deleteAttachment
+   * @description Call the ServiceNow attachment API to delete an attachment.
+   *
+   * @param {string} attachmentSysId - The key (sys_id) of the attachment.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {(object|string)} callback.data - The API's response. Will be an object if sunnyday path.
+   * @param {error} callback.error - The error property of callback.
+   */
+  deleteAttachment(attachmentSysId, callback) {
+    const deleteCallOptions = { ...this.options };
+    deleteCallOptions.method = 'DELETE';
+    deleteCallOptions.resource = 'attachment';
+    deleteCallOptions.sysId = attachmentSysId;
+    this.sendRequest(deleteCallOptions, (results, error) => callback(results, error));
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method attachmentLimit
+   * @description Reads an attachment size limit from options.attachments.
+   *
+   * @param {string} name - maxUploadSize or maxDownloadSize.
+   *
+   * @return {number} The limit in bytes.
+   */
+  attachmentLimit(name) {
+    const limits = this.options.attachments || {};
+    return limits[name] || DEFAULT_MAX_ATTACHMENT_SIZE;
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method createChange
+   * @description Call the Change Management API to create a change request
+   *   with a change model, so ServiceNow applies the model's defaults and,
+   *   for a standard change, the template's values.
+   *
+   * @param {string} type - The change model: normal, emergency, or standard.
+   * @param {object} [body] - Optional record fields, keyed by ServiceNow
+   *   column name, sent as JSON.
+   * @param {string} [templateSysId] - The key (sys_id) of the standard
+   *   change template. Required for a standard change.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {(object|string)} callback.data - The API's response. Will be an object if sunnyday path.
+   * @param {error} callback.error - The error property of callback.
+   */
+  createChange(type, body, templateSysId, callback) {
+    if (typeof templateSysId === 'function') {
+      callback = templateSysId;
+      templateSysId = null;
+    }
+    if (!CHANGE_MODELS.includes(type)) {
+      return callback(null, new Error(`Unknown change model ${type}. Expected one of ${CHANGE_MODELS.join(', ')}.`));
+    }
+    let resource = `change/${type}`;
+    if (type === 'standard') {
+      if (typeof templateSysId !== 'string' || !validSysIdRegex.test(templateSysId)) {
+        return callback(null, new Error(`Invalid standard change template key: ${templateSysId}`));
+      }
+      resource = `${resource}/${templateSysId}`;
+    }
+    const createCallOptions = this.changeCallOptions('POST', resource);
+    createCallOptions.body = body || {};
+    return this.sendRequest(createCallOptions, (results, error) => {
+      this.invalidateCache('change_request');
+      callback(results, error);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method getStandardChangeTemplates
+   * @description Call the Change Management API to list the standard
+   *   change templates the user may create changes from.
+   *
+   * @param {ServiceNowConnector~queryOptions} [queryOptions] - Optional filter,
+   *   limit, offset, and sort options.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {(object|string)} callback.data - The API's response. Will be an object if sunnyday path.
+   * @param {error} callback.error - The error property of callback.
+   */
+  getStandardChangeTemplates(queryOptions, callback) {
+    if (typeof queryOptions === 'function') {
+      callback = queryOptions;
+      queryOptions = null;
+    }
+    const templateCallOptions = this.changeCallOptions('GET', 'change/standard/template');
+    templateCallOptions.query = queryOptions;
+    return this.sendRequest(templateCallOptions, (results, error) => callback(results, error));
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method startChangeConflictCheck
+   * @description Call the Change Management API to start ServiceNow's
+   *   conflict check of a change request. The check runs in the background;
+   *   read its progress and results with getChangeConflicts().
+   *
+   * @param {string} sysId - The key (sys_id) of the change request.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {(object|string)} callback.data - The API's response. Will be an object if sunnyday path.
+   * @param {error} callback.error - The error property of callback.
+   */
+  startChangeConflictCheck(sysId, callback) {
+    return this.sendChangeRequest('POST', sysId, 'conflict', callback);
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method getChangeConflicts
+   * @description Call the Change Management API to read the state and
+   *   conflicts of a change request's latest conflict check.
+   *
+   * @param {string} sysId - The key (sys_id) of the change request.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {(object|string)} callback.data - The API's response. Will be an object if sunnyday path.
+   * @param {error} callback.error - The error property of callback.
+   */
+  getChangeConflicts(sysId, callback) {
+    return this.sendChangeRequest('GET', sysId, 'conflict', callback);
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method calculateChangeRisk
+   * @description Call the Change Management API to calculate a change
+   *   request's risk and impact. ServiceNow stores them on the record and
+   *   returns the updated record.
+   *
+   * @param {string} sysId - The key (sys_id) of the change request.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {(object|string)} callback.data - The API's response. Will be an object if sunnyday path.
+   * @param {error} callback.error - The error property of callback.
+   */
+  calculateChangeRisk(sysId, callback) {
+    return this.sendChangeRequest('PATCH', sysId, 'risk', callback);
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method sendChangeRequest
+   * @description Sends a request to a resource of one change request in
+   *   the Change Management API, such as change/{sys_id}/conflict.
+   *
+   * @param {string} method - The HTTP method.
+   * @param {string} sysId - The key (sys_id) of the change request.
+   * @param {string} action - The resource under the change, such as conflict or risk.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {(object|string)} callback.data - The API's response. Will be an object if sunnyday path.
+   * @param {error} callback.error - The error property of callback.
+   */
+  sendChangeRequest(method, sysId, action, callback) {
+    if (typeof sysId !== 'string' || !validSysIdRegex.test(sysId)) {
+      return callback(null, new Error(`Invalid record key: ${sysId}`));
+    }
+    const changeCallOptions = this.changeCallOptions(method, `change/${sysId}/${action}`);
+    return this.sendRequest(changeCallOptions, (results, error) => {
+      if (method !== 'GET') {
+        this.invalidateCache('change_request');
+      }
+      callback(results, error);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method changeCallOptions
+   * @description Builds the call options of a Change Management API request.
+   *
+   * @param {string} method - The HTTP method.
+   * @param {string} resource - The path under /api/sn_chg_rest.
+   *
+   * @return {object} Call options for sendRequest().
+   */
+  changeCallOptions(method, resource) {
+    return {
+      ...this.options,
+      method,
+      api: 'sn_chg_rest',
+      resource,
+    };
+  }
+
+  /**
+   * @typedef {object} ServiceNowConnector~healthReport
+   * @property {boolean} healthy - True when the table answered normally.
+   * @property {number} latency - Milliseconds the probe took.
+   * @property {(number|null)} statusCode - HTTP status, or null when no response arrived.
+   * @property {(boolean|null)} authenticated - Whether ServiceNow accepted the
+   *   credentials, or null when the response cannot tell.
+   * @property {boolean} hibernating - True when the instance is hibernating.
+   * @property {boolean} tableAccessible - True when the table could be read.
+   * @property {string} checkedAt - ISO time the probe started.
+   * @property {string} [error] - Why the probe failed.
+   */
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method probe
+   * @summary Probes ServiceNow health
+   * @description Requests a single record's sys_id from the table in one
+   *   attempt, then reports how the instance answered. The callback always
+   *   receives a report; problems are described by the report, not an error.
+   *
+   * @param {iapCallback} callback - Callback a function.
+   * @param {ServiceNowConnector~healthReport} callback.data - The health report.
+   */
+  probe(callback) {
+    const started = Date.now();
+    const probeCallOptions = {
+      ...this.options,
+      method: 'GET',
+      query: { limit: 1, fields: ['sys_id'] },
+      maxAttempts: 1,
+    };
+
+    this.sendRequest(probeCallOptions, (response, error) => {
+      const report = {
+        healthy: !error,
+        latency: Date.now() - started,
+        statusCode: null,
+        authenticated: null,
+        hibernating: false,
+        tableAccessible: !error,
+        checkedAt: new Date(started).toISOString(),
+      };
+
+      if (!error) {
+        report.statusCode = response.statusCode;
+        report.authenticated = true;
+      } else if (error === HIBERNATING_ERROR) {
+        report.statusCode = 200;
+        report.hibernating = true;
+        report.error = 'The ServiceNow instance is hibernating.';
+      } else if (error.statusCode !== undefined) {
+        report.statusCode = error.statusCode;
+        // ServiceNow checks credentials before table access and ACLs.
+        if (error.statusCode === 401) {
+          report.authenticated = false;
+        } else if ([400, 403, 404].includes(error.statusCode)) {
+          report.authenticated = true;
+        }
+        report.error = `ServiceNow responded with status ${error.statusCode}.`;
+      } else {
+        report.error = error.message || String(error);
+      }
+      return callback(report, null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method nextPageQuery
+   * @description Determines the query string for the page after the passed
+   *   response. Follows the response's Link header when ServiceNow sends
+   *   one, else advances sysparm_offset past the records received.
+   *
+   * @param {object} response - The response of the current page.
+   * @param {string} query - The query string that requested the current page.
+   * @param {number} recordCount - The number of records in the current page.
+   * @param {number} remaining - Records still allowed under the hard cap.
+   *
+   * @return {(string|null)} The next page's query string, or null on the last page.
+   */
+  nextPageQuery(response, query, recordCount, remaining) {
+    const params = new URLSearchParams(query);
+    const limit = Number(params.get('sysparm_limit'));
+    const link = response.headers && response.headers.link;
+    const match = link ? nextLinkRegex.exec(link) : null;
+    let nextParams;
+
+    if (remaining <= 0 || recordCount === 0) {
+      return null;
+    }
+    if (match) {
+      nextParams = new URL(match[1], this.options.url).searchParams;
+    } else if (link || recordCount < limit) {
+      // A Link header without a next relation marks the last page.
+      return null;
+    } else {
+      nextParams = params;
+      nextParams.set('sysparm_offset', Number(params.get('sysparm_offset')) + recordCount);
+    }
+    nextParams.set('sysparm_limit', Math.min(limit, remaining));
+    return nextParams.toString();
+  }
+
+  /**
+   * @memberof ServiceNowConnector
+   * @method getPages
+   * @summary Calls ServiceNow GET API page by page
+   * @description Walks a table one page at a time. Each page's records are
+   *   passed to onPage, which must call its next function before the
+   *   following page is requested. Only one page is held at a time.
+   *
+   * @param {ServiceNowConnector~queryOptions} [queryOptions] - Optional filter,
+   *   sort, and field options. Limit and offset set where the walk starts.
+   * @param {number} [queryOptions.pageSize] - Overrides options.pageSize.
+   * @param {number} [queryOptions.maxRecords] - Overrides options.maxRecords.
+   * @param {function} onPage - Receives each page's records array and a next
+   *   function. Call next() to continue or next(false) to stop early.
+   * @param {iapCallback} callback - Called once the walk ends.
+   * @param {object} callback.data - The number of pages and records received.
+   * @param {error} callback.error - The error property of callback.
+   */
+  getPages(queryOptions, onPage, callback) {
+    const { pageSize, maxRecords, limit, ...tableQuery } = queryOptions || {};
+    const size = pageSize || this.options.pageSize || DEFAULT_PAGE_SIZE;
+    let cap = maxRecords || this.options.maxRecords || DEFAULT_MAX_RECORDS;
+    const summary = { pages: 0, records: 0 };
+    let query;
+
+    if (limit !== undefined && limit !== null) {
+      cap = Math.min(cap, Number(limit));
+    }
+    try {
+      if (!Number.isInteger(Number(size)) || Number(size) < 1) {
+        throw new Error('Page size must be a positive integer.');
+      }
+      if (!Number.isInteger(Number(cap)) || Number(cap) < 0) {
+        throw new Error('Maximum records must be a non-negative integer.');
+      }
+      query = this.buildQuery({ ...tableQuery, limit: Math.min(size, cap), offset: tableQuery.offset || 0 });
+    } catch (error) {
+      log.error(`Invalid query: ${error.message}`);
+      return callback(null, error);
+    }
+    if (Number(cap) === 0) {
+      return callback(summary, null);
+    }
+
+    const fetchPage = (pageQuery) => {
+      this.get(pageQuery, (response, error) => {
+        if (error) {
+          return callback(null, error);
+        }
+        let records;
+        try {
+          records = (JSON.parse(response.body) || {}).result || [];
+        } catch (parseError) {
+          log.error('ServiceNow: Failed to parse page.');
+          return callback(null, parseError);
+        }
+        if (!Array.isArray(records)) {
+          const resultError = new Error('ServiceNow returned a page whose result is not an array.');
+          resultError.code = 'INVALID_RESPONSE';
+          log.error(`ServiceNow: ${resultError.message}`);
+          return callback(null, resultError);
+        }
+        summary.pages += 1;
+        summary.records += records.length;
+        const nextQuery = this.nextPageQuery(response, pageQuery, records.length, cap - summary.records);
+        return onPage(records, (proceed = true) => {
+          if (nextQuery && proceed) {
+            return fetchPage(nextQuery);
+          }
+          return callback(summary, null);
+        });
+      });
+    };
+    return fetchPage(query);
   }
 
 }
 
+// Each API method returns a promise when called without a callback.
+addPromiseSupport(ServiceNowConnector, [
+  'sendRequest',
+  'get',
+  'post',
+  'patch',
+  'delete',
+  'probe',
+  'uploadAttachment',
+  'listAttachments',
+  'downloadAttachment',
+  'deleteAttachment',
+  'createChange',
+  'getStandardChangeTemplates',
+  'startChangeConflictCheck',
+  'getChangeConflicts',
+  'calculateChangeRisk',
+]);
+
 module.exports = ServiceNowConnector;
\ No newline at end of file
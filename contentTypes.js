@@ -0,0 +1,85 @@
+const path = require('path');
+
+/**
+ * Content types of common attachment files, keyed by lower-case file
+ * extension: command output, configuration diffs, and MOP documents.
+ */
+const EXTENSION_TYPES = {
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.cfg': 'text/plain',
+  '.conf': 'text/plain',
+  '.diff': 'text/x-diff',
+  '.patch': 'text/x-diff',
+  '.csv': 'text/csv',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+};
+
+/**
+ * Leading bytes of binary formats, checked when the file name does not
+ * tell the type.
+ */
+const SIGNATURES = [
+  { bytes: [0x25, 0x50, 0x44, 0x46], type: 'application/pdf' },
+  { bytes: [0x89, 0x50, 0x4e, 0x47], type: 'image/png' },
+  { bytes: [0xff, 0xd8, 0xff], type: 'image/jpeg' },
+  { bytes: [0x47, 0x49, 0x46, 0x38], type: 'image/gif' },
+  { bytes: [0x50, 0x4b, 0x03, 0x04], type: 'application/zip' },
+  { bytes: [0x1f, 0x8b], type: 'application/gzip' },
+];
+
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+/**
+ * @function detectContentType
+ * @description Picks the content type of an attachment from its file
+ *   extension, else from the content's leading bytes. Content without a
+ *   known signature and free of control characters other than whitespace
+ *   is treated as plain text.
+ *
+ * @param {string} [fileName] - The attachment's file name.
+ * @param {Buffer} [content] - The content, or its first bytes.
+ *
+ * @return {string} The content type. application/octet-stream when it
+ *   cannot be told.
+ */
+function detectContentType(fileName, content) {
+  const extensionType = fileName && EXTENSION_TYPES[path.extname(fileName).toLowerCase()];
+  if (extensionType) {
+    return extensionType;
+  }
+  if (!Buffer.isBuffer(content) || content.length === 0) {
+    return DEFAULT_CONTENT_TYPE;
+  }
+  const signature = SIGNATURES.find(candidate => candidate.bytes.every((byte, index) => content[index] === byte));
+  if (signature) {
+    return signature.type;
+  }
+  const head = content.subarray(0, 512);
+  const binary = head.some(byte => byte < 0x09 || (byte > 0x0d && byte < 0x20));
+  return binary ? DEFAULT_CONTENT_TYPE : 'text/plain';
+}
+
+module.exports = {
+  EXTENSION_TYPES,
+  detectContentType,
+};
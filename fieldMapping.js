@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const TABLES = require(path.join(__dirname, '/tables.js'));
+
+// ServiceNow column names may only contain word characters and dot-walks.
+const validFieldRegex = /^[A-Za-z0-9_.]+$/;
+
+// Document properties must be usable as JSON schema and task property names.
+const validPropertyRegex = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Types an extra field may declare in the document schema.
+const FIELD_TYPES = ['string', 'boolean', 'integer', 'number'];
+
+/**
+ * The FieldMapping class.
+ *
+ * @summary Document Field Mapping
+ * @description This class maps a ServiceNow table's columns to the
+ *   properties of the documents the adapter returns, such as changeTicket,
+ *   and back. It starts from the table's definition in tables.js and
+ *   applies the fieldMapping adapter property: renamed columns, extra fields
+ *   such as custom u_ columns, and default values for new records. The same
+ *   mapping generates the document's JSON schema.
+ */
+class FieldMapping {
+
+  /**
+   * @memberof FieldMapping
+   * @constructs
+   * @description Builds the mapping. Throws an error if the options name an
+   *   unknown property, an invalid column, or a clashing extra field.
+   *
+   * @param {object} [options] - The fieldMapping adapter property.
+   * @param {object} [options.renames] - ServiceNow column to use for a
+   *   built-in property, keyed by property, such as
+   *   `{ "description": "u_long_description" }`.
+   * @param {object} [options.extraFields] - Additional properties, keyed by
+   *   property name. Each has a column and optionally a type (string,
+   *   boolean, integer, or number; default string) and a description.
+   * @param {object} [options.defaults] - Values used for properties a new
+   *   record omits, keyed by property.
+   * @param {object} [definition] - The table definition from tables.js.
+   *   Defaults to change_request's.
+   */
+  constructor(options = {}, definition = TABLES.change_request) {
+    const renames = options.renames || {};
+    const extraFields = options.extraFields || {};
+    // The key must stay mapped to sys_id because requests address records by it.
+    const keyProperty = definition.keyProperty;
+    this.definition = definition;
+    this.defaults = { ...options.defaults };
+    this.fields = definition.fields.map(field => ({ ...field, schema: { ...field.schema } }));
+
+    Object.keys(renames).forEach((property) => {
+      const field = this.fields.find(candidate => candidate.property === property);
+      if (!field) {
+        throw new Error(`Field mapping renames unknown property ${property}.`);
+      }
+      if (property === keyProperty) {
+        throw new Error(`Field mapping cannot rename ${keyProperty}. It is always sys_id.`);
+      }
+      field.column = checkColumn(renames[property], property);
+    });
+
+    Object.keys(extraFields).forEach((property) => {
+      const extra = extraFields[property] || {};
+      const type = extra.type || 'string';
+      if (!validPropertyRegex.test(property) || this.fields.some(field => field.property === property)) {
+        throw new Error(`Field mapping extra field ${property} is invalid or already defined.`);
+      }
+      if (!FIELD_TYPES.includes(type)) {
+        throw new Error(`Field mapping extra field ${property} has unknown type ${type}. Expected one of ${FIELD_TYPES.join(', ')}.`);
+      }
+      const schema = { type };
+      if (extra.description) {
+        schema.description = extra.description;
+      }
+      this.fields.push({
+        property,
+        column: checkColumn(extra.column, property),
+        schema,
+        extra: true,
+      });
+    });
+
+    Object.keys(this.defaults).forEach((property) => {
+      const field = this.fields.find(candidate => candidate.property === property);
+      if (!field || property === keyProperty) {
+        throw new Error(`Field mapping has a default for ${field ? 'read-only' : 'unknown'} property ${property}.`);
+      }
+      field.schema.default = this.defaults[property];
+    });
+
+    const columns = this.fields.map(field => field.column);
+    const duplicate = columns.find((column, index) => columns.indexOf(column) !== index);
+    if (duplicate) {
+      throw new Error(`Field mapping maps more than one property to column ${duplicate}.`);
+    }
+  }
+
+  /**
+   * @memberof FieldMapping
+   * @method columnFor
+   * @description Returns the ServiceNow column a property is mapped to.
+   *
+   * @param {string} property - A document property.
+   *
+   * @return {(string|undefined)} The column, or undefined for an unknown property.
+   */
+  columnFor(property) {
+    const field = this.fields.find(candidate => candidate.property === property);
+    return field && field.column;
+  }
+
+  /**
+   * @memberof FieldMapping
+   * @method columns
+   * @description Lists the mapped ServiceNow columns.
+   *
+   * @return {string[]} The columns, in property order.
+   */
+  columns() {
+    return this.fields.map(field => field.column);
+  }
+
+  /**
+   * @memberof FieldMapping
+   * @method normalize
+   * @description Maps a ServiceNow record to a document.
+   *   ServiceNow returns every value as a string, so values of boolean,
+   *   integer, and number properties are converted to their schema type.
+   *   A value that cannot be converted is kept as is for validation to report.
+   *
+   * @param {object} record - A record from the ServiceNow table API.
+   *
+   * @return {object} The document, such as a changeTicket.
+   */
+  normalize(record) {
+    const ticket = {};
+    this.fields.forEach((field) => {
+      const value = coerceValue(record[field.column], field.schema.type);
+      // An empty custom column is left out rather than reported as invalid.
+      if (!(field.extra && value === null)) {
+        ticket[field.property] = value;
+      }
+    });
+    return ticket;
+  }
+
+  /**
+   * @memberof FieldMapping
+   * @method denormalize
+   * @description Maps document fields to ServiceNow column names.
+   *   Properties the mapping does not know are left out.
+   *
+   * @param {object} ticket - Document fields.
+   * @param {boolean} [applyDefaults=false] - Fill in configured defaults
+   *   for omitted properties, as when creating a record.
+   *
+   * @return {object} The record fields keyed by ServiceNow column name.
+   */
+  denormalize(ticket, applyDefaults = false) {
+    const source = applyDefaults ? { ...this.defaults, ...ticket } : ticket;
+    const record = {};
+    this.fields.forEach((field) => {
+      if (source[field.property] !== undefined) {
+        record[field.column] = source[field.property];
+      }
+    });
+    return record;
+  }
+
+  /**
+   * @memberof FieldMapping
+   * @method ticketSchema
+   * @description Builds the document's JSON schema, which requires every
+   *   built-in property. Extra fields are optional.
+   *
+   * @return {object} The document schema, such as changeTicket's.
+   */
+  ticketSchema() {
+    const properties = {};
+    this.fields.forEach((field) => {
+      properties[field.property] = { ...field.schema };
+    });
+    return {
+      title: this.definition.title,
+      type: 'object',
+      properties,
+      required: this.fields.filter(field => !field.extra).map(field => field.property),
+      additionalProperties: false,
+    };
+  }
+
+  /**
+   * @memberof FieldMapping
+   * @method schema
+   * @description Builds the json-schema document that IAP publishes for the
+   *   table's tasks, such as json-schema/changeRequest.json. Its $id is the
+   *   definition's schemaId.
+   *
+   * @return {object} The schema document, such as changeRequest's.
+   */
+  schema() {
+    return {
+      $id: this.definition.schemaId,
+      definitions: {
+        [this.definition.title]: this.ticketSchema(),
+      },
+    };
+  }
+}
+
+/**
+ * @function coerceValue
+ * @description Converts a ServiceNow value to a JSON schema type. Reference
+ *   fields become the referenced record's sys_id. Empty values of
+ *   non-string types become null.
+ *
+ * @param {*} value - The value from the ServiceNow record.
+ * @param {string} type - The JSON schema type: string, boolean, integer, or number.
+ *
+ * @return {*} The converted value, or the original value if it cannot be converted.
+ */
+function coerceValue(value, type) {
+  if (value && typeof value === 'object' && value.value !== undefined) {
+    // Reference fields arrive as { link, value } unless links are excluded.
+    value = value.value;
+  }
+  if (typeof value !== 'string' || type === 'string') {
+    return value;
+  }
+  const text = value.trim();
+  if (text === '') {
+    return null;
+  }
+  if (type === 'boolean') {
+    if (text === 'true' || text === '1') {
+      return true;
+    }
+    return text === 'false' || text === '0' ? false : value;
+  }
+  const number = Number(text);
+  if (Number.isNaN(number) || (type === 'integer' && !Number.isInteger(number))) {
+    return value;
+  }
+  return number;
+}
+
+/**
+ * @function checkColumn
+ * @description Checks a ServiceNow column name from the field mapping.
+ *
+ * @param {string} column - The column name.
+ * @param {string} property - The property it is mapped to, for the error message.
+ *
+ * @return {string} The column name.
+ */
+function checkColumn(column, property) {
+  if (typeof column !== 'string' || !validFieldRegex.test(column)) {
+    throw new Error(`Field mapping for ${property} has an invalid column name: ${column}`);
+  }
+  return column;
+}
+
+// Regenerate the schemas with `node fieldMapping.js [adapterProperties.json]`.
+// Only the change ticket schema follows the fieldMapping property.
+if (require.main === module) {
+  const properties = process.argv[2] ? JSON.parse(fs.readFileSync(process.argv[2], 'utf8')) : {};
+  Object.keys(TABLES).filter(table => TABLES[table].schemaId).forEach((table) => {
+    const definition = TABLES[table];
+    const options = table === 'change_request' ? (properties.properties || properties).fieldMapping : {};
+    const schemaPath = path.join(__dirname, `/json-schema/${definition.schemaId}.json`);
+    fs.writeFileSync(schemaPath, `${JSON.stringify(new FieldMapping(options, definition).schema(), null, 2)}\n`);
+    console.log(`Wrote ${schemaPath}`);
+  });
+}
+
+module.exports = FieldMapping;
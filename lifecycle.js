@@ -0,0 +1,163 @@
+/**
+ * The change request lifecycle.
+ *
+ * @summary ServiceNow Change Request Lifecycle
+ * @description Models the states a ServiceNow change request moves through
+ *   and the transitions allowed for each change type, so the adapter can
+ *   refuse an illegal transition before sending it to ServiceNow.
+ */
+
+/**
+ * ServiceNow change_request state names and the values stored in the
+ * state column.
+ */
+const STATES = {
+  New: '-5',
+  Assess: '-4',
+  Authorize: '-3',
+  Scheduled: '-2',
+  Implement: '-1',
+  Review: '0',
+  Closed: '3',
+  Canceled: '4',
+};
+
+/**
+ * ServiceNow change_task state names and values. Closed and Canceled tasks
+ * are finished.
+ */
+const TASK_STATES = {
+  Pending: '-5',
+  Open: '1',
+  'Work in Progress': '2',
+  Closed: '3',
+  Canceled: '4',
+};
+
+/**
+ * Allowed target states for each state, keyed by change type. Closed and
+ * Canceled are final. A normal change is assessed and authorized, an
+ * emergency change skips assessment, and a pre-approved standard change
+ * goes straight to scheduling.
+ */
+const TRANSITIONS = {
+  normal: {
+    New: ['Assess', 'Canceled'],
+    Assess: ['Authorize', 'New', 'Canceled'],
+    Authorize: ['Scheduled', 'New', 'Canceled'],
+    Scheduled: ['Implement', 'New', 'Canceled'],
+    Implement: ['Review', 'Canceled'],
+    Review: ['Closed', 'Canceled'],
+    Closed: [],
+    Canceled: [],
+  },
+  standard: {
+    New: ['Scheduled', 'Canceled'],
+    Scheduled: ['Implement', 'Canceled'],
+    Implement: ['Review', 'Canceled'],
+    Review: ['Closed', 'Canceled'],
+    Closed: [],
+    Canceled: [],
+  },
+  emergency: {
+    New: ['Authorize', 'Canceled'],
+    Authorize: ['Scheduled', 'New', 'Canceled'],
+    Scheduled: ['Implement', 'Canceled'],
+    Implement: ['Review', 'Canceled'],
+    Review: ['Closed', 'Canceled'],
+    Closed: [],
+    Canceled: [],
+  },
+};
+
+/**
+ * @function stateName
+ * @description Resolves a state name or ServiceNow state value to the
+ *   state's name. Names are matched case-insensitively.
+ *
+ * @param {(string|number)} state - A state name, such as Implement, or a
+ *   state value, such as -1.
+ *
+ * @return {(string|null)} The state name, or null for an unknown state.
+ */
+function stateName(state) {
+  if (state === undefined || state === null) {
+    return null;
+  }
+  const text = String(state).trim();
+  return Object.keys(STATES).find(name => name.toLowerCase() === text.toLowerCase()
+    || STATES[name] === text) || null;
+}
+
+/**
+ * @function stateValue
+ * @description Resolves a state name or ServiceNow state value to the value
+ *   stored in the change_request state column.
+ *
+ * @param {(string|number)} state - A state name or state value.
+ *
+ * @return {(string|null)} The state value, or null for an unknown state.
+ */
+function stateValue(state) {
+  const name = stateName(state);
+  return name ? STATES[name] : null;
+}
+
+/**
+ * @function checkTransition
+ * @description Checks whether a change of the given type may move between
+ *   two states.
+ *
+ * @param {string} [type=normal] - The change type: normal, standard, or emergency.
+ * @param {(string|number)} fromState - The change's current state.
+ * @param {(string|number)} toState - The requested state.
+ *
+ * @return {(object|null)} A structured error with code ILLEGAL_TRANSITION,
+ *   UNKNOWN_STATE, or UNKNOWN_CHANGE_TYPE, or null when the transition is allowed.
+ */
+function checkTransition(type, fromState, toState) {
+  const changeType = (type || 'normal').toLowerCase();
+  const model = TRANSITIONS[changeType];
+  const from = stateName(fromState);
+  const to = stateName(toState);
+
+  if (!model) {
+    return {
+      code: 'UNKNOWN_CHANGE_TYPE',
+      message: `Unknown change type ${type}. Expected one of ${Object.keys(TRANSITIONS).join(', ')}.`,
+    };
+  }
+  if (!to || !from) {
+    return {
+      code: 'UNKNOWN_STATE',
+      message: `Unknown change state ${to ? fromState : toState}. Expected one of ${Object.keys(STATES).join(', ')}.`,
+    };
+  }
+
+  const allowed = model[from] || [];
+  if (!allowed.includes(to)) {
+    let reason = `Allowed next states: ${allowed.join(', ')}.`;
+    if (!model[from]) {
+      reason = `A ${changeType} change does not use the ${from} state.`;
+    } else if (!allowed.length) {
+      reason = `${from} is a final state.`;
+    }
+    return {
+      code: 'ILLEGAL_TRANSITION',
+      message: `A ${changeType} change cannot move from ${from} to ${to}. ${reason}`,
+      from,
+      to,
+      allowed,
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  STATES,
+  TASK_STATES,
+  TRANSITIONS,
+  stateName,
+  stateValue,
+  checkTransition,
+};
@@ -9,6 +9,18 @@ const path = require('path');
  */
 const ServiceNowConnector = require(path.join(__dirname, '/connector.js'));
 
+/**
+ * Import the change lifecycle module, which knows the states a change moves
+ * through and the transitions each change type allows.
+ */
+const lifecycle = require(path.join(__dirname, '/lifecycle.js'));
+
+/**
+ * Import the promise helpers. Task methods return a promise when called
+ * without an IAP callback.
+ */
+const { toError, addPromiseSupport } = require(path.join(__dirname, '/promises.js'));
+
 /**
  * Import built-in Node.js package events' EventEmitter class and
  * assign it to constant EventEmitter. We will create a child class
@@ -16,6 +28,438 @@ const ServiceNowConnector = require(path.join(__dirname, '/connector.js'));
  */
 const EventEmitter = require('events').EventEmitter;
 
+/**
+ * Import built-in Node.js package stream's Readable class. getAllRecords()
+ * returns an object-mode Readable so callers can iterate large tables.
+ */
+const Readable = require('stream').Readable;
+
+/**
+ * Import the Ajv JSON schema validator. Each adapter instance compiles the
+ * changeTicket schema of its own field mapping.
+ */
+const Ajv = require('ajv');
+
+/**
+ * Import the FieldMapping class, which maps ServiceNow columns to
+ * changeTicket properties as configured by the fieldMapping property.
+ */
+const FieldMapping = require(path.join(__dirname, '/fieldMapping.js'));
+
+/**
+ * Import the ChangeWatcher class, which polls the change table and emits
+ * an event for each new or changed ticket.
+ */
+const ChangeWatcher = require(path.join(__dirname, '/changeWatcher.js'));
+
+/**
+ * Import the WebhookReceiver class, which accepts change notifications
+ * pushed by ServiceNow.
+ */
+const WebhookReceiver = require(path.join(__dirname, '/webhookReceiver.js'));
+
+/**
+ * Import the table definitions: the documents returned for change_request,
+ * change_task, incident, and problem records.
+ */
+const TABLES = require(path.join(__dirname, '/tables.js'));
+
+/**
+ * Healthcheck settings used when the healthcheck property omits them.
+ * Frequency is in milliseconds.
+ */
+const DEFAULT_HEALTHCHECK = {
+  type: 'intermittent',
+  frequency: 300000,
+};
+
+/**
+ * Approval settings used when the approvals property omits them. Times are
+ * in milliseconds.
+ */
+const DEFAULT_APPROVALS = {
+  pollInterval: 30000,
+  timeout: 3600000,
+};
+
+/**
+ * Settings of calculateConflicts() used when the conflictCheck property
+ * omits them. Times are in milliseconds.
+ */
+const DEFAULT_CONFLICT_CHECK = {
+  pollInterval: 2000,
+  timeout: 120000,
+};
+
+/**
+ * States of a Change Management API conflict check that has not finished.
+ */
+const CONFLICT_CHECK_RUNNING = ['Pending', 'Executing'];
+
+/**
+ * ServiceNow close codes accepted by closeRecord().
+ */
+const CLOSE_CODES = ['successful', 'successful_issues', 'unsuccessful'];
+
+/**
+ * Approval states that no longer hold a change back: combineApprovals()
+ * leaves them out.
+ */
+const SETTLED_APPROVAL_STATES = ['cancelled', 'not_required'];
+
+/**
+ * Journal fields of a change request, and the entry type getJournal()
+ * reports for each.
+ */
+const JOURNAL_TYPES = {
+  work_notes: 'work_note',
+  comments: 'comment',
+};
+
+/**
+ * Schedule times accepted by checkConflicts() and the freezeWindows
+ * property: a date and a time to the minute or second.
+ */
+const scheduleTimeRegex = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})(:\d{2})?$/;
+
+/**
+ * Record keys are ServiceNow sys_ids. Keys are checked before they are
+ * written into an encoded query.
+ */
+const validKeyRegex = /^[0-9a-f]{32}$/i;
+
+/**
+ * What happens to a ticket read from ServiceNow that does not match the
+ * changeTicket schema: drop leaves it out, flag returns it with a
+ * validation_errors array, and reject fails the call.
+ */
+const INVALID_TICKET_POLICIES = ['drop', 'flag', 'reject'];
+const DEFAULT_INVALID_TICKET_POLICY = 'flag';
+
+/**
+ * Validators of caller-supplied changeTicket fields are compiled with this
+ * Ajv instance.
+ */
+const ajv = new Ajv({ allErrors: true });
+
+/**
+ * @function compileTicketValidator
+ * @description Compiles a document validator, such as changeTicket's.
+ *   Caller-supplied fields are checked without required properties, because
+ *   ServiceNow fills in whatever the caller omits.
+ *
+ * @param {FieldMapping} fieldMapping - The table's field mapping.
+ * @param {boolean} [requireAll=false] - Keep the schema's required
+ *   properties, as for complete records read from ServiceNow.
+ *
+ * @return {function} The Ajv validate function.
+ */
+function compileTicketValidator(fieldMapping, requireAll = false) {
+  const schema = fieldMapping.ticketSchema();
+  return ajv.compile(requireAll ? schema : { ...schema, required: [] });
+}
+
+/**
+ * @function describeSchemaErrors
+ * @description Converts Ajv errors to the field and message pairs of the
+ *   adapter's structured errors.
+ *
+ * @param {object[]} errors - The validate function's errors.
+ *
+ * @return {object[]} The field and message of each error.
+ */
+function describeSchemaErrors(errors) {
+  return errors.map(error => ({
+    field: error.params.additionalProperty
+      || error.params.missingProperty
+      || error.instancePath.replace(/^\//, ''),
+    message: error.message,
+  }));
+}
+
+/**
+ * @function checkTicketInput
+ * @description Checks caller-supplied document fields against the table's
+ *   schema, such as changeTicket's.
+ *
+ * @param {object} handler - The table's handler from createTableHandler().
+ * @param {object} ticket - The document fields to check.
+ *
+ * @return {(object|null)} A structured validation error, or null when the
+ *   fields are valid.
+ */
+function checkTicketInput(handler, ticket) {
+  const validateTicketInput = handler.validateInput;
+  if (validateTicketInput(ticket)) {
+    return null;
+  }
+  return {
+    code: handler.definition.errorCode,
+    message: `The record does not match the ${handler.definition.title} schema.`,
+    errors: describeSchemaErrors(validateTicketInput.errors),
+  };
+}
+
+/**
+ * @function tableNotAllowed
+ * @description Builds the error returned for a table missing from the
+ *   allowedTables property.
+ *
+ * @param {string} table - The requested table.
+ *
+ * @return {object} A structured error with code TABLE_NOT_ALLOWED.
+ */
+function tableNotAllowed(table) {
+  return {
+    code: 'TABLE_NOT_ALLOWED',
+    message: `Table ${table} is not in the adapter's allowedTables property.`,
+  };
+}
+
+/**
+ * @function parseResponse
+ * @description Parses the JSON body of a successful ServiceNow response. A
+ *   2xx response can still carry a single sign-on or proxy page instead of
+ *   an API result, so a body that does not parse is returned as an error
+ *   instead of thrown.
+ *
+ * @param {object} response - The connector's response, with body.
+ * @param {string} [resultType] - Also require body.result to be an array
+ *   or an object.
+ *
+ * @return {object} The parsed body, or the error: a structured error with
+ *   code INVALID_RESPONSE.
+ */
+function parseResponse(response, resultType) {
+  let body = null;
+  try {
+    body = JSON.parse(response.body);
+  } catch (error) {
+    body = null;
+  }
+  const result = body && body.result;
+  const valid = body !== null && typeof body === 'object' && (!resultType
+    || (resultType === 'array' ? Array.isArray(result) : result !== null && typeof result === 'object'));
+  if (!valid) {
+    return {
+      error: {
+        code: 'INVALID_RESPONSE',
+        message: `ServiceNow answered with status ${response.statusCode} but not with a JSON ${resultType ? 'result' : 'body'}.`,
+      },
+    };
+  }
+  return { body };
+}
+
+/**
+ * @function checkRecordKeys
+ * @description Checks that record keys passed by the caller are sys_ids.
+ *
+ * @param {object} keys - The keys to check, keyed by parameter name, such as
+ *   `{ changeTicketKey }`.
+ *
+ * @return {(object|null)} A structured error with code INVALID_KEY, or null
+ *   when every key is valid.
+ */
+function checkRecordKeys(keys) {
+  const errors = Object.keys(keys)
+    .filter(name => typeof keys[name] !== 'string' || !validKeyRegex.test(keys[name]))
+    .map(name => ({ field: name, message: 'must be a 32-character sys_id' }));
+  if (!errors.length) {
+    return null;
+  }
+  return {
+    code: 'INVALID_KEY',
+    message: 'The record key is not a ServiceNow sys_id.',
+    errors,
+  };
+}
+
+/**
+ * @function checkCloseRequest
+ * @description Checks the close code and close notes passed to
+ *   closeRecord() or closeChangeTask().
+ *
+ * @param {string} closeCode - One of successful, successful_issues, or unsuccessful.
+ * @param {string} closeNotes - Notes describing the outcome.
+ * @param {string} label - What is being closed, for the error message.
+ *
+ * @return {(object|null)} A structured error with code INVALID_CLOSE_REQUEST,
+ *   or null when the values are valid.
+ */
+function checkCloseRequest(closeCode, closeNotes, label) {
+  const errors = [];
+  if (!CLOSE_CODES.includes(closeCode)) {
+    errors.push({ field: 'closeCode', message: `must be one of ${CLOSE_CODES.join(', ')}` });
+  }
+  if (typeof closeNotes !== 'string' || !closeNotes.trim()) {
+    errors.push({ field: 'closeNotes', message: 'must be a non-empty string' });
+  }
+  if (!errors.length) {
+    return null;
+  }
+  return {
+    code: 'INVALID_CLOSE_REQUEST',
+    message: `The ${label} cannot be closed with the supplied values.`,
+    errors,
+  };
+}
+
+/**
+ * @function normalizeAttachment
+ * @description Maps a ServiceNow sys_attachment record to an attachment
+ *   document.
+ *
+ * @param {object} record - A record from the ServiceNow attachment API.
+ *
+ * @return {object} The attachment document.
+ */
+function normalizeAttachment(record) {
+  return {
+    attachment_key: record.sys_id,
+    file_name: record.file_name,
+    content_type: record.content_type,
+    size_bytes: Number(record.size_bytes),
+    table_name: record.table_name,
+    record_key: record.table_sys_id,
+    created_on: record.sys_created_on,
+  };
+}
+
+/**
+ * @function normalizeJournalEntry
+ * @description Maps a ServiceNow sys_journal_field record to a journal entry.
+ *
+ * @param {object} record - A sys_journal_field record.
+ *
+ * @return {object} The journal entry.
+ */
+function normalizeJournalEntry(record) {
+  return {
+    entry_key: record.sys_id,
+    type: JOURNAL_TYPES[record.element] || record.element,
+    text: record.value,
+    author: record.sys_created_by,
+    created_on: record.sys_created_on,
+  };
+}
+
+/**
+ * @function changeApiValue
+ * @description Reads a field of a Change Management API record, which
+ *   sends each field as an object with its value and display_value.
+ *
+ * @param {*} field - The field from the record.
+ * @param {boolean} [display=false] - Read the display value instead.
+ *
+ * @return {string} The value, or an empty string for a missing field.
+ */
+function changeApiValue(field, display = false) {
+  if (field && typeof field === 'object') {
+    field = display ? field.display_value : field.value;
+  }
+  return field === undefined || field === null ? '' : String(field);
+}
+
+/**
+ * @function normalizeStandardTemplate
+ * @description Maps a standard change template from the Change Management
+ *   API to a template document.
+ *
+ * @param {object} record - A std_change_record_producer record.
+ *
+ * @return {object} The template document.
+ */
+function normalizeStandardTemplate(record) {
+  return {
+    template_key: changeApiValue(record.sys_id),
+    name: changeApiValue(record.name, true),
+    description: changeApiValue(record.short_description, true),
+    category: changeApiValue(record.category, true),
+    active: changeApiValue(record.active) === 'true',
+  };
+}
+
+/**
+ * @function normalizeChangeConflict
+ * @description Maps a conflict found by the Change Management API's
+ *   conflict check to a conflict document.
+ *
+ * @param {object} record - A conflict record.
+ *
+ * @return {object} The conflict document.
+ */
+function normalizeChangeConflict(record) {
+  return {
+    conflict_key: changeApiValue(record.sys_id),
+    type: changeApiValue(record.type),
+    description: changeApiValue(record.description, true),
+    change_ticket_key: changeApiValue(record.conflicting_change),
+    change_ticket_number: changeApiValue(record.conflicting_change, true),
+    configuration_item: changeApiValue(record.configuration_item),
+    schedule: changeApiValue(record.schedule, true),
+  };
+}
+
+/**
+ * @function scheduleTime
+ * @description Converts a schedule time to ServiceNow's
+ *   `YYYY-MM-DD HH:MM:SS` format, which also sorts as text.
+ *
+ * @param {string} value - A time such as 2024-05-01 02:00.
+ *
+ * @return {(string|null)} The converted time, or null when the value is not
+ *   a schedule time.
+ */
+function scheduleTime(value) {
+  const match = typeof value === 'string' && scheduleTimeRegex.exec(value.trim());
+  return match ? `${match[1]} ${match[2]}${match[3] || ':00'}` : null;
+}
+
+/**
+ * @function parseFreezeWindows
+ * @description Checks and converts the freezeWindows property. Throws an
+ *   error for a window without a name or with an invalid time range.
+ *
+ * @param {object[]} [windows] - The freezeWindows property.
+ *
+ * @return {object[]} The windows with converted start and end times.
+ */
+function parseFreezeWindows(windows = []) {
+  return windows.map((window, index) => {
+    const start = scheduleTime(window.start);
+    const end = scheduleTime(window.end);
+    if (!window.name || !start || !end || start >= end) {
+      throw new Error(`Freeze window ${window.name || index} needs a name and a start before its end, as YYYY-MM-DD HH:MM[:SS].`);
+    }
+    return { ...window, start, end };
+  });
+}
+
+/**
+ * @function combineApprovals
+ * @description Combines the states of a change's approval records into one
+ *   status. A single rejection rejects the change, and it is approved only
+ *   once every remaining approval is. Cancelled and not required approvals
+ *   do not count. Any other state, such as requested, more_info_required,
+ *   or a later group's not requested, keeps the change pending.
+ *
+ * @param {object[]} approvals - Normalized approval records.
+ *
+ * @return {string} rejected, requested, approved, or not requested.
+ */
+function combineApprovals(approvals) {
+  const states = approvals.map(approval => approval.state)
+    .filter(state => !SETTLED_APPROVAL_STATES.includes(state));
+  if (states.includes('rejected')) {
+    return 'rejected';
+  }
+  if (!states.length || states.every(state => state === 'not requested')) {
+    return 'not requested';
+  }
+  return states.every(state => state === 'approved') ? 'approved' : 'requested';
+}
+
 /**
  * The ServiceNowAdapter class.
  *
@@ -28,7 +472,8 @@ class ServiceNowAdapter extends EventEmitter {
 
   /**
    * Here we document the ServiceNowAdapter class' callback. It must follow IAP's
-   *   data-first convention.
+   *   data-first convention. Task methods called without a callback return a
+   *   promise instead, which rejects with an Error built from errorMessage.
    * @callback ServiceNowAdapter~requestCallback
    * @param {(object|string)} responseData - The entire REST API response.
    * @param {error} [errorMessage] - An error thrown by REST API call.
@@ -40,9 +485,80 @@ class ServiceNowAdapter extends EventEmitter {
    *   instance's properties object.
    * @property {string} url - ServiceNow instance URL.
    * @property {object} auth - ServiceNow instance credentials.
-   * @property {string} auth.username - Login username.
-   * @property {string} auth.password - Login password.
+   * @property {string} [auth.type=basic] - One of basic, oauth2_password,
+   *   oauth2_client_credentials, api_key, or mtls.
+   * @property {string} [auth.username] - Login username.
+   * @property {string} [auth.password] - Login password.
+   * @property {string} [auth.clientId] - OAuth client ID.
+   * @property {string} [auth.clientSecret] - OAuth client secret.
+   * @property {string} [auth.apiKey] - Static API key.
+   * @property {string} [auth.cert] - Client certificate, PEM text or file path.
+   * @property {string} [auth.key] - Client private key, PEM text or file path.
    * @property {string} serviceNowTable - The change request table name.
+   * @property {string[]} [allowedTables] - Other tables the table methods
+   *   may use: change_task, incident, or problem. serviceNowTable is
+   *   always allowed.
+   * @property {object} [fieldMapping] - Renamed columns, extra fields, and
+   *   default values of changeTickets. See FieldMapping.
+   * @property {string} [invalidTickets=flag] - drop, flag, or reject tickets
+   *   read from ServiceNow that do not match the changeTicket schema.
+   * @property {object} [pagination] - Paging used by getAllRecords().
+   * @property {number} [pagination.pageSize] - Records requested per page.
+   * @property {number} [pagination.maxRecords] - Hard cap on records returned.
+   * @property {object} [retry] - Retry policy for transient ServiceNow failures.
+   *   See ServiceNowConnector~retryPolicy.
+   * @property {object} [transport] - Timeouts, proxy, and TLS settings for
+   *   HttpTransport.
+   * @property {object} [throttle] - Rate and concurrency limits for requests
+   *   to ServiceNow. See RateLimiter.
+   * @property {object} [cache] - Caching of table reads. See ResponseCache.
+   * @property {boolean} [cache.enabled=false] - Cache table reads.
+   * @property {number} [cache.ttl=30000] - Milliseconds a read stays fresh.
+   * @property {object} [cache.tables] - TTLs of individual tables, keyed by
+   *   table name. 0 leaves a table uncached.
+   * @property {number} [cache.maxEntries=500] - Most reads kept.
+   * @property {object} [attachments] - Attachment size limits, maxUploadSize
+   *   and maxDownloadSize, in bytes.
+   * @property {object} [approvals] - Approval settings.
+   * @property {string} [approvals.userName] - The ServiceNow user who approves
+   *   or rejects. Defaults to auth.username.
+   * @property {number} [approvals.pollInterval=30000] - Milliseconds between
+   *   checks of waitForApproval().
+   * @property {number} [approvals.timeout=3600000] - Milliseconds
+   *   waitForApproval() waits by default.
+   * @property {object[]} [freezeWindows] - Periods in which no change may
+   *   be scheduled, checked by checkConflicts(). Each has a name, a start
+   *   and an end (YYYY-MM-DD HH:MM[:SS]), and optionally the
+   *   configurationItems (sys_ids) it is limited to.
+   * @property {object} [conflictCheck] - Settings of calculateConflicts().
+   * @property {number} [conflictCheck.pollInterval=2000] - Milliseconds
+   *   between reads of a running conflict check.
+   * @property {number} [conflictCheck.timeout=120000] - Milliseconds to
+   *   wait for a conflict check to finish.
+   * @property {object} [watch] - Change event polling. See ChangeWatcher.
+   * @property {boolean} [watch.enabled=false] - Start watching on connect().
+   * @property {number} [watch.interval=60000] - Milliseconds between polls.
+   * @property {number} [watch.skew=60000] - Milliseconds each poll reaches
+   *   back before the watermark to catch late updates.
+   * @property {number} [watch.retention=604800000] - Milliseconds a
+   *   change's last seen version is kept.
+   * @property {number} [watch.maxTracked=10000] - Most last seen versions kept.
+   * @property {string} [watch.stateFile] - File that keeps the watermark
+   *   across restarts.
+   * @property {string} [watch.since] - The first watermark, in UTC.
+   * @property {object} [webhook] - Endpoint for ServiceNow outbound REST
+   *   messages. See WebhookReceiver.
+   * @property {boolean} [webhook.enabled=false] - Listen on connect().
+   * @property {string} webhook.secret - The shared HMAC secret.
+   * @property {string} [webhook.host=127.0.0.1] - Address to listen on.
+   *   Set 0.0.0.0 to expose the endpoint on every interface.
+   * @property {number} [webhook.port=8080] - Port to listen on. The
+   *   endpoint serves plain HTTP; terminate TLS in front of it.
+   * @property {object} [healthcheck] - Healthcheck schedule.
+   * @property {string} [healthcheck.type=intermittent] - startup checks once
+   *   on connect; intermittent repeats the check.
+   * @property {number} [healthcheck.frequency=300000] - Milliseconds between
+   *   intermittent checks.
    */
 
   /**
@@ -64,83 +580,296 @@ class ServiceNowAdapter extends EventEmitter {
       url: this.props.url,
       username: this.props.auth.username,
       password: this.props.auth.password,
-      serviceNowTable: this.props.serviceNowTable
+      auth: this.props.auth,
+      serviceNowTable: this.props.serviceNowTable,
+      pageSize: this.props.pagination && this.props.pagination.pageSize,
+      maxRecords: this.props.pagination && this.props.pagination.maxRecords,
+      retry: this.props.retry,
+      transportOptions: this.props.transport,
+      throttle: this.props.throttle,
+      attachments: this.props.attachments,
+      cache: this.props.cache,
+    });
+    this.invalidTicketPolicy = this.props.invalidTickets || DEFAULT_INVALID_TICKET_POLICY;
+    if (!INVALID_TICKET_POLICIES.includes(this.invalidTicketPolicy)) {
+      throw new Error(`Unknown invalidTickets setting ${this.invalidTicketPolicy}. Expected one of ${INVALID_TICKET_POLICIES.join(', ')}.`);
+    }
+    this.freezeWindows = parseFreezeWindows(this.props.freezeWindows);
+    // One handler per allowed table maps its columns to document properties
+    // and validates documents. Throws an error for a table without a
+    // definition or an invalid fieldMapping property.
+    this.tableHandlers = {};
+    [this.props.serviceNowTable, ...(this.props.allowedTables || [])].forEach((table) => {
+      if (!this.tableHandlers[table]) {
+        this.tableHandlers[table] = this.createTableHandler(table);
+      }
     });
+    this.changeTable = this.tableHandlers[this.props.serviceNowTable];
+    this.fieldMapping = this.changeTable.mapping;
+    // The change task methods need change_task even when the table methods
+    // may not use it.
+    this.changeTaskTable = this.tableHandlers.change_task || this.createTableHandler('change_task');
+    // Work notes and comments are read back from the journal table.
+    this.journalConnector = this.connector.forTable('sys_journal_field');
+    // Approval records, and the approving user's key once it has been looked up.
+    this.approvalTable = this.createTableHandler('sysapproval_approver');
+    // Approvals are decided outside the adapter and polled, so they are never read from the cache.
+    this.approvalTable.connector = this.approvalTable.connector.uncached();
+    this.userConnector = this.connector.forTable('sys_user');
+    this.approverKey = null;
+    // Healthcheck results tracked across checks. See getHealthStatus().
+    this.healthStatus = {
+      status: null,
+      lastCheck: null,
+      lastSuccess: null,
+      consecutiveFailures: 0,
+    };
+    this.healthchecksScheduled = false;
+    this.healthcheckTimer = null;
+    // Created by startWatching() and startWebhook().
+    this.watcher = null;
+    this.webhook = null;
   }
 
   /**
    * @memberof ServiceNowAdapter
    * @method connect
    * @summary Connect to ServiceNow
-   * @description Complete a single healthcheck and emit ONLINE or OFFLINE.
+   * @description Complete a healthcheck and emit ONLINE or OFFLINE.
    *   IAP calls this method after instantiating an object from the class.
    *   There is no need for parameters because all connection details
    *   were passed to the object's constructor and assigned to object property this.props.
+   *   Unless the healthcheck property's type is startup, the healthcheck
+   *   then repeats every healthcheck.frequency milliseconds until
+   *   disconnect() is called. When the watch or webhook property is
+   *   enabled, change events are watched for or received too.
    */
   connect() {
     // As a best practice, Itential recommends isolating the health check action
     // in its own method.
-    this.healthcheck();
+    const { type = DEFAULT_HEALTHCHECK.type } = this.props.healthcheck || {};
+    this.disconnect();
+    if (type === 'intermittent') {
+      this.healthchecksScheduled = true;
+      this.healthcheck(() => this.scheduleHealthcheck());
+    } else {
+      this.healthcheck();
+    }
+    if (this.props.watch && this.props.watch.enabled) {
+      this.startWatching();
+    }
+    if (this.props.webhook && this.props.webhook.enabled) {
+      this.startWebhook();
+    }
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method disconnect
+   * @summary Disconnect from ServiceNow
+   * @description Stops the periodic healthcheck, change watching, and the
+   *   webhook endpoint. A healthcheck already in flight still completes,
+   *   but no further check is scheduled.
+   */
+  disconnect() {
+    this.healthchecksScheduled = false;
+    clearTimeout(this.healthcheckTimer);
+    this.healthcheckTimer = null;
+    this.stopWatching();
+    this.stopWebhook();
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method startWatching
+   * @summary Watch for Change Events
+   * @description Polls the change table as configured by the watch property
+   *   and emits changeCreated, changeUpdated, and changeStateChanged for
+   *   each new or changed changeTicket, and watchError when a poll fails.
+   *   See ChangeWatcher for the events' contents. Does nothing when the
+   *   adapter is already watching.
+   */
+  startWatching() {
+    if (!this.watcher) {
+      this.watcher = new ChangeWatcher(this.connector.uncached(), this.fieldMapping, this.props.watch);
+      ChangeWatcher.WATCH_EVENTS.forEach((name) => {
+        this.watcher.on(name, event => this.emit(name, event));
+      });
+    }
+    this.watcher.start();
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method stopWatching
+   * @summary Stop Watching for Change Events
+   * @description Stops polling for change events. The watcher keeps its
+   *   watermark, so startWatching() resumes where it stopped.
+   */
+  stopWatching() {
+    if (this.watcher) {
+      this.watcher.stop();
+    }
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method startWebhook
+   * @summary Receive Change Notifications
+   * @description Listens for ServiceNow outbound REST messages as
+   *   configured by the webhook property. Verified deliveries are emitted as
+   *   changeCreated, changeUpdated, and changeStateChanged events with
+   *   source webhook; refused ones as webhookRejected. See WebhookReceiver
+   *   for the delivery format and signature. An invalid webhook property,
+   *   such as one without a secret, or a failure to listen is logged and
+   *   passed to the callback.
+   *
+   * @param {ServiceNowAdapter~requestCallback} [callback] - The optional
+   *   callback. It receives the URL deliveries are posted to.
+   */
+  startWebhook(callback = () => {}) {
+    if (!this.webhook) {
+      try {
+        this.webhook = new WebhookReceiver(this.changeTable, this.props.webhook);
+      } catch (error) {
+        log.error(`ServiceNow: Cannot start the webhook receiver for adapter ${this.id}. ${error.message}`);
+        return callback(null, error);
+      }
+      ['changeCreated', 'changeUpdated', 'changeStateChanged', 'webhookRejected'].forEach((name) => {
+        this.webhook.on(name, event => this.emit(name, event));
+      });
+    }
+    return this.webhook.start(callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method stopWebhook
+   * @summary Stop Receiving Change Notifications
+   * @description Closes the webhook endpoint.
+   *
+   * @param {ServiceNowAdapter~requestCallback} [callback] - The optional
+   *   callback, called once the endpoint has closed.
+   */
+  stopWebhook(callback = () => {}) {
+    if (!this.webhook) {
+      return callback(true, null);
+    }
+    return this.webhook.stop(callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method scheduleHealthcheck
+   * @summary Schedule the Next Healthcheck
+   * @description Runs the next healthcheck after healthcheck.frequency
+   *   milliseconds. The following check is scheduled only once this one
+   *   completes, so checks never overlap.
+   */
+  scheduleHealthcheck() {
+    if (!this.healthchecksScheduled) {
+      return;
+    }
+    const { frequency = DEFAULT_HEALTHCHECK.frequency } = this.props.healthcheck || {};
+    this.healthcheckTimer = setTimeout(() => {
+      this.healthcheck(() => this.scheduleHealthcheck());
+    }, frequency);
+    // The timer alone must not keep the Node.js process alive.
+    this.healthcheckTimer.unref();
   }
 
   /**
    * @memberof ServiceNowAdapter
    * @method healthcheck
    * @summary Check ServiceNow Health
-   * @description Verifies external system is available and healthy.
-   *   Calls method emitOnline if external system is available.
+   * @description Verifies external system is available and healthy with a
+   *   minimal request for one record's key.
+   *   Emits ONLINE or OFFLINE when the result differs from the last check.
    *
    * @param {ServiceNowAdapter~requestCallback} [callback] - The optional callback
-   *   that handles the response.
+   *   that handles the response. It receives the health report, plus the
+   *   report's error when the instance is unhealthy.
    */
   healthcheck(callback) {
-    this.getRecord((result, error) => {
-      /**
-        * For this lab, complete the if else conditional
-        * statements that check if an error exists
-        * or the instance was hibernating. You must write
-        * the blocks for each branch.
-        */
-      if (error) {
-        /**
-          * Write this block.
-          * If an error was returned, we need to emit OFFLINE.
-          * Log the returned error using IAP's global log object
-          * at an error severity. In the log message, record
-          * this.id so an administrator will know which ServiceNow
-          * adapter instance wrote the log message in case more
-          * than one instance is configured.
-          * If an optional IAP callback function was passed to
-          * healthcheck(), execute it passing the error seen as an argument
-          * for the callback's errorMessage parameter.
-          */
-        log.error(`\nError with external system with ID:\n${this.id}`)
-        this.emitOffline();
-
-        if (callback) {
-          callback(result, error);
-        }
+    this.connector.probe((report) => {
+      if (!report.healthy) {
+        log.error(`\nError with external system with ID:\n${this.id}\n${report.error}`)
       } else {
-        /**
-          * Write this block.
-          * If no runtime problems were detected, emit ONLINE.
-          * Log an appropriate message using IAP's global log object
-          * at a debug severity.
-          * If an optional IAP callback function was passed to
-          * healthcheck(), execute it passing this function's result
-          * parameter as an argument for the callback function's
-          * responseData parameter.
-          */
-        log.debug("\nExternal system is available and healthy!");
-        this.emitOnline();
+        log.debug(`\nExternal system is available and healthy! Latency: ${report.latency} ms.`);
+      }
+      this.updateHealthStatus(report.healthy);
 
-        if (callback) {
-          callback(result, error);
-        }
+      if (callback) {
+        callback(report, report.healthy ? null : report.error);
       }
     });
   }
 
+  /**
+   * @memberof ServiceNowAdapter
+   * @method getHealthReport
+   * @summary Get ServiceNow Health Report
+   * @description Probes ServiceNow on demand and returns a detailed report:
+   *   latency, HTTP status, whether authentication succeeded, whether the
+   *   instance is hibernating, and whether the table is accessible. The
+   *   result also updates the tracked health status.
+   *
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  getHealthReport(callback) {
+    this.connector.probe((report) => {
+      this.updateHealthStatus(report.healthy);
+      return callback(report, null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method updateHealthStatus
+   * @summary Track Healthcheck Results
+   * @description Records a healthcheck's result and emits ONLINE or OFFLINE
+   *   only when the status changes. The first result is always emitted.
+   *
+   * @param {boolean} healthy - Whether the healthcheck succeeded.
+   */
+  updateHealthStatus(healthy) {
+    const status = healthy ? 'ONLINE' : 'OFFLINE';
+    const previousStatus = this.healthStatus.status;
+    const now = new Date().toISOString();
+
+    this.healthStatus.lastCheck = now;
+    if (healthy) {
+      this.healthStatus.lastSuccess = now;
+      this.healthStatus.consecutiveFailures = 0;
+    } else {
+      this.healthStatus.consecutiveFailures += 1;
+    }
+    this.healthStatus.status = status;
+
+    if (status !== previousStatus) {
+      if (healthy) {
+        this.emitOnline();
+      } else {
+        this.emitOffline();
+      }
+    }
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method getHealthStatus
+   * @summary Get Healthcheck Status
+   * @description Returns the tracked healthcheck status for inspection.
+   *
+   * @return {object} The last status (ONLINE, OFFLINE, or null before the
+   *   first check), the ISO times of the last check and last success, and the
+   *   number of consecutive failed checks.
+   */
+  getHealthStatus() {
+    return { ...this.healthStatus };
+  }
+
   /**
    * @memberof ServiceNowAdapter
    * @method emitOffline
@@ -180,98 +909,1810 @@ class ServiceNowAdapter extends EventEmitter {
 
   /**
    * @memberof ServiceNowAdapter
-   * @method getRecord
-   * @summary Get ServiceNow Record
-   * @description Retrieves a record from ServiceNow.
+   * @method getRequestStats
+   * @summary Get Request Queue Stats
+   * @description Reports how many ServiceNow requests are queued by the rate
+   *   limiter and how many are in flight.
    *
    * @param {ServiceNowAdapter~requestCallback} callback - The callback that
    *   handles the response.
    */
-  getRecord(callback) {
-    /**
-     * Write the body for this function.
-     * The function is a wrapper for this.connector's get() method.
-     * Note how the object was instantiated in the constructor().
-     * get() takes a callback function.
-     */
-    // this.connector.get(callback);
-
-    try {
-      return this.connector.get((returnData, returnError) => { 
-        if (returnError) {
-          return callback(null, returnError);
-        }
-
-        const ticketList = [];
-
-        if(returnData.body) {
-          const jsonBody = JSON.parse(returnData.body);
-          const results = jsonBody.result;
-          results.forEach(result => {
-            let ticket = {};
-            ticket.change_ticket_number = result.number;
-            ticket.active = result.active;
-            ticket.priority = result.priority;
-            ticket.description = result.description;
-            ticket.work_start = result.work_start;
-            ticket.work_end = result.work_end;
-            ticket.change_ticket_key = result.sys_id;
-            ticketList.push(ticket);
-          });
-        }
-
-        return callback(ticketList, null);
-      });
-    } catch(error) {
-      log.error('ServiceNow: Failed to get record.');
-      return callback(null, error);
-    }
+  getRequestStats(callback) {
+    return callback(this.connector.getRequestStats(), null);
   }
 
   /**
    * @memberof ServiceNowAdapter
-   * @method postRecord
-   * @summary Create ServiceNow Record
-   * @description Creates a record in ServiceNow.
+   * @method clearCache
+   * @summary Clear the Read Cache
+   * @description Drops cached table reads so the next reads ask ServiceNow.
+   *   Writes through the adapter already drop the reads they make stale;
+   *   use this after records were changed some other way.
    *
+   * @param {string} [table] - Only drop this table's reads.
    * @param {ServiceNowAdapter~requestCallback} callback - The callback that
    *   handles the response.
    */
-  postRecord(callback) {
-    /**
-     * Write the body for this function.
-     * The function is a wrapper for this.connector's post() method.
-     * Note how the object was instantiated in the constructor().
-     * post() takes a callback function.
-     */
-    // this.connector.post(callback);
-
-    try {
-      return this.connector.post((returnData, returnError) => { 
-        if (returnError) {
-          return callback(null, returnError);
-        }
+  clearCache(table, callback) {
+    if (typeof table === 'function') {
+      callback = table;
+      table = null;
+    }
+    const cleared = this.connector.clearCache(table || undefined);
+    log.info(`ServiceNow: Cleared ${cleared} cached reads${table ? ` of table ${table}` : ''} for adapter ${this.id}.`);
+    return callback({ cleared, enabled: Boolean(this.connector.cache) }, null);
+  }
 
-        const ticket = {};
-        if(returnData.body) {
-          const jsonBody = JSON.parse(returnData.body);
-          const result = jsonBody.result;
-          ticket.change_ticket_number = result.number;
-          ticket.active = result.active;
-          ticket.priority = result.priority;
-          ticket.description = result.description;
-          ticket.work_start = result.work_start;
-          ticket.work_end = result.work_end;
-          ticket.change_ticket_key = result.sys_id;
+  /**
+   * @memberof ServiceNowAdapter
+   * @method createTableHandler
+   * @summary Prepare a Table
+   * @description Builds what the table methods need to work with a table:
+   *   its definition, field mapping, validators, and a connector targeting
+   *   it. serviceNowTable holds change tickets and uses the fieldMapping
+   *   property; other tables use their definitions from tables.js.
+   *
+   * @param {string} table - The ServiceNow table name.
+   *
+   * @return {object} The table handler.
+   */
+  createTableHandler(table) {
+    const changeTable = table === this.props.serviceNowTable;
+    const definition = changeTable ? TABLES.change_request : TABLES[table];
+    if (!definition) {
+      throw new Error(`Table ${table} has no definition. Expected one of ${Object.keys(TABLES).join(', ')}.`);
+    }
+    const mapping = new FieldMapping(changeTable ? this.props.fieldMapping : {}, definition);
+    return {
+      table,
+      definition,
+      mapping,
+      connector: changeTable ? this.connector : this.connector.forTable(table),
+      validateInput: compileTicketValidator(mapping),
+      validateOutput: compileTicketValidator(mapping, true),
+    };
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method getRecord
+   * @summary Get ServiceNow Record
+   * @description Retrieves records from ServiceNow. Without options, every
+   *   record in the table is returned.
+   *
+   * @param {object} [options] - Optional query options.
+   * @param {string} [options.filter] - A ServiceNow encoded query, such as
+   *   `active=true^priority=1`.
+   * @param {number} [options.limit] - Maximum number of records to return.
+   * @param {number} [options.offset] - Number of records to skip.
+   * @param {string} [options.orderBy] - Column used to sort the results.
+   * @param {string} [options.orderDirection=asc] - Sort direction, asc or desc.
+   * @param {(string|string[])} [options.fields] - ServiceNow columns to return.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  getRecord(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+    return this.getTableRecord(this.props.serviceNowTable, options, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method getTableRecord
+   * @summary Get Records From a Table
+   * @description Retrieves records from one of the allowed tables and
+   *   normalizes them with the table's definition. A table missing from the
+   *   allowedTables property is refused with a TABLE_NOT_ALLOWED error.
+   *
+   * @param {string} table - The ServiceNow table, such as incident.
+   * @param {object} [options] - Optional query options accepted by getRecord().
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  getTableRecord(table, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+    const handler = this.tableHandlers[table];
+    if (!handler) {
+      log.error(`ServiceNow: Table ${table} is not allowed for adapter ${this.id}.`);
+      return callback(null, tableNotAllowed(table));
+    }
+    return this.readRecords(handler, options, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method readRecords
+   * @summary Read and Normalize Records
+   * @description Gets records with the table connector and normalizes them
+   *   with the table's definition. Shared by getTableRecord() and the change
+   *   task methods.
+   *
+   * @param {object} handler - The table's handler from createTableHandler().
+   * @param {object} [options] - Query options accepted by getRecord().
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  readRecords(handler, options, callback) {
+    return handler.connector.get(options, (returnData, returnError) => {
+      if (returnError) {
+        return callback(null, returnError);
+      }
+      const { body, error } = parseResponse(returnData, 'array');
+      if (error) {
+        log.error(`ServiceNow: Failed to read ${handler.table} records for adapter ${this.id}. ${error.message}`);
+        return callback(null, error);
+      }
+      const screened = this.screenTickets(handler, body.result.map(result => handler.mapping.normalize(result)), Boolean(options && options.fields));
+      if (screened.error) {
+        return callback(null, screened.error);
+      }
+      return callback(screened.tickets, null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method readCurrentRecords
+   * @summary Read Records Past the Cache
+   * @description Reads records like readRecords(), but always from
+   *   ServiceNow. Used by checks that guard a write, such as a transition's
+   *   current state, which must not come from a cached response.
+   *
+   * @param {object} handler - The table's handler from createTableHandler().
+   * @param {object} [options] - Query options accepted by getRecord().
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  readCurrentRecords(handler, options, callback) {
+    return this.readRecords({ ...handler, connector: handler.connector.uncached() }, options, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method postRecord
+   * @summary Create ServiceNow Record
+   * @description Creates a record in ServiceNow from the passed changeTicket
+   *   fields. Omitted fields take the default values configured in the
+   *   fieldMapping property. The fields are validated before any request is sent; a
+   *   validation failure is returned as an error with code
+   *   INVALID_CHANGE_TICKET and an errors array naming each bad field.
+   *
+   * @param {object} [ticket] - Optional changeTicket fields for the new record.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  postRecord(ticket, callback) {
+    if (typeof ticket === 'function') {
+      callback = ticket;
+      ticket = {};
+    }
+    return this.postTableRecord(this.props.serviceNowTable, ticket, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method postTableRecord
+   * @summary Create a Record in a Table
+   * @description Creates a record in one of the allowed tables from the
+   *   passed document fields, validated against the table's schema like
+   *   postRecord()'s.
+   *
+   * @param {string} table - The ServiceNow table, such as incident.
+   * @param {object} [ticket] - Optional document fields for the new record.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  postTableRecord(table, ticket, callback) {
+    if (typeof ticket === 'function') {
+      callback = ticket;
+      ticket = {};
+    }
+    const handler = this.tableHandlers[table];
+    if (!handler) {
+      log.error(`ServiceNow: Table ${table} is not allowed for adapter ${this.id}.`);
+      return callback(null, tableNotAllowed(table));
+    }
+    return this.createRecord(handler, ticket, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method createRecord
+   * @summary Validate and Create a Record
+   * @description Validates document fields against the table's schema, then
+   *   creates the record and normalizes the result. Shared by
+   *   postTableRecord() and createChangeTask().
+   *
+   * @param {object} handler - The table's handler from createTableHandler().
+   * @param {object} [ticket] - Document fields for the new record.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  createRecord(handler, ticket, callback) {
+    const validationError = checkTicketInput(handler, ticket || {});
+    if (validationError) {
+      log.error(`ServiceNow: Invalid ${handler.definition.title} for adapter ${this.id}.`);
+      return callback(null, validationError);
+    }
+
+    return handler.connector.post(handler.mapping.denormalize(ticket || {}, true), (returnData, returnError) => {
+      if (returnError) {
+        return callback(null, returnError);
+      }
+      const { body, error } = parseResponse(returnData, 'object');
+      if (error) {
+        log.error(`ServiceNow: Failed to read the created ${handler.definition.title} for adapter ${this.id}. ${error.message}`);
+        return callback(null, error);
+      }
+      // The record exists now, so an invalid result is flagged, never dropped.
+      const [createdTicket] = this.screenTickets(handler, [handler.mapping.normalize(body.result)], false, 'flag').tickets;
+      return callback(createdTicket, null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method updateRecord
+   * @summary Update ServiceNow Record
+   * @description Updates fields of an existing change request. The fields are
+   *   validated like postRecord()'s before any request is sent. The state
+   *   field is refused; use transitionRecord() to change state.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {object} fields - The changeTicket fields to change.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  updateRecord(changeTicketKey, fields, callback) {
+    return this.updateTableRecord(this.props.serviceNowTable, changeTicketKey, fields, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method updateTableRecord
+   * @summary Update a Record in a Table
+   * @description Updates fields of an existing record in one of the allowed
+   *   tables. The fields are validated against the table's schema before any
+   *   request is sent. The record key cannot be changed, and neither can a
+   *   change ticket's state; use transitionRecord() to change state. A change
+   *   task cannot be moved to another change. A key that is not a sys_id is
+   *   refused with an INVALID_KEY error.
+   *
+   * @param {string} table - The ServiceNow table, such as incident.
+   * @param {string} key - The record's key (sys_id).
+   * @param {object} fields - The document fields to change.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  updateTableRecord(table, key, fields, callback) {
+    const handler = this.tableHandlers[table];
+    if (!handler) {
+      log.error(`ServiceNow: Table ${table} is not allowed for adapter ${this.id}.`);
+      return callback(null, tableNotAllowed(table));
+    }
+    const validationError = checkRecordKeys({ key }) || this.checkUpdate(handler, fields);
+    if (validationError) {
+      return callback(null, validationError);
+    }
+    return this.patchTicket(handler, key, handler.mapping.denormalize(fields), callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method checkUpdate
+   * @summary Validate Updated Fields
+   * @description Checks the fields of an update against the table's schema
+   *   and refuses an empty update or fields that must not be updated.
+   *
+   * @param {object} handler - The table's handler from createTableHandler().
+   * @param {object} fields - The document fields to change.
+   *
+   * @return {(object|null)} A structured validation error, or null when the
+   *   update is valid.
+   */
+  checkUpdate(handler, fields) {
+    const { keyProperty, errorCode, title } = handler.definition;
+    const lockedFields = {
+      [keyProperty]: 'must not be updated',
+    };
+    if (handler === this.changeTable) {
+      lockedFields.state = 'must be changed with transitionRecord';
+    }
+    if (handler === this.changeTaskTable) {
+      lockedFields.change_request_key = 'must not be moved to another change';
+    }
+
+    let validationError = checkTicketInput(handler, fields || {});
+    if (!validationError && (!fields || Object.keys(fields).length === 0)) {
+      validationError = {
+        code: errorCode,
+        message: `No ${title} fields to update.`,
+        errors: [],
+      };
+    }
+    const locked = validationError ? [] : Object.keys(lockedFields).filter(field => fields[field] !== undefined);
+    if (locked.length) {
+      validationError = {
+        code: errorCode,
+        message: `The ${title} fields cannot be updated.`,
+        errors: locked.map(field => ({ field, message: lockedFields[field] })),
+      };
+    }
+    if (validationError) {
+      log.error(`ServiceNow: Invalid ${title} update for adapter ${this.id}.`);
+    }
+    return validationError;
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method transitionRecord
+   * @summary Transition ServiceNow Record
+   * @description Moves a change request to another lifecycle state. The
+   *   change's current state and type are read first, and a transition its
+   *   change model does not allow is refused with an ILLEGAL_TRANSITION
+   *   error without updating the record.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {string} targetState - The state name, such as Implement, or
+   *   ServiceNow state value, such as -1.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  transitionRecord(changeTicketKey, targetState, callback) {
+    return this.applyTransition(changeTicketKey, targetState, {}, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method applyTransition
+   * @summary Apply a Lifecycle Transition
+   * @description Reads a change's current state and type, checks the
+   *   transition with the lifecycle module, then patches the new state
+   *   together with any extra record fields. Shared by transitionRecord()
+   *   and closeRecord().
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {string} targetState - The state name or ServiceNow state value.
+   * @param {object} record - Extra record fields keyed by ServiceNow column name.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  applyTransition(changeTicketKey, targetState, record, callback) {
+    const stateValue = lifecycle.stateValue(targetState);
+    if (!stateValue) {
+      return callback(null, {
+        code: 'UNKNOWN_STATE',
+        message: `Unknown change state ${targetState}. Expected one of ${Object.keys(lifecycle.STATES).join(', ')}.`,
+      });
+    }
+
+    return this.findChangeTicket(changeTicketKey, (current, error) => {
+      if (error) {
+        return callback(null, error);
+      }
+
+      const transitionError = lifecycle.checkTransition(current.type, current.state, stateValue);
+      if (transitionError) {
+        log.error(`ServiceNow: ${transitionError.message} Ticket ${current.change_ticket_number}, adapter ${this.id}.`);
+        return callback(null, transitionError);
+      }
+      return this.patchTicket(this.changeTable, changeTicketKey, { ...record, state: stateValue }, callback);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method findChangeTicket
+   * @summary Find a Change Ticket
+   * @description Reads the key, number, state, and type of a change ticket.
+   *   A missing change is returned as a CHANGE_NOT_FOUND error.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  findChangeTicket(changeTicketKey, callback) {
+    const keyError = checkRecordKeys({ changeTicketKey });
+    if (keyError) {
+      return callback(null, keyError);
+    }
+    return this.readCurrentRecords(this.changeTable, {
+      filter: `sys_id=${changeTicketKey}`,
+      fields: ['change_ticket_key', 'change_ticket_number', 'state', 'type']
+        .map(property => this.fieldMapping.columnFor(property)),
+      limit: 1,
+    }, (tickets, error) => {
+      if (error) {
+        return callback(null, error);
+      }
+      const current = tickets.find(ticket => ticket.change_ticket_key === changeTicketKey);
+      if (!current) {
+        return callback(null, {
+          code: 'CHANGE_NOT_FOUND',
+          message: `No change ticket has key ${changeTicketKey}.`,
+        });
+      }
+      return callback(current, null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method closeRecord
+   * @summary Close ServiceNow Record
+   * @description Moves a change request to the Closed state and records its
+   *   close code and close notes. Like transitionRecord(), it refuses to
+   *   close a change its change model does not allow to close.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {string} closeCode - One of successful, successful_issues, or unsuccessful.
+   * @param {string} closeNotes - Notes describing the outcome of the change.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  closeRecord(changeTicketKey, closeCode, closeNotes, callback) {
+    const closeError = checkCloseRequest(closeCode, closeNotes, 'change ticket');
+    if (closeError) {
+      log.error(`ServiceNow: Invalid close request for adapter ${this.id}.`);
+      return callback(null, closeError);
+    }
+
+    return this.applyTransition(changeTicketKey, 'Closed', {
+      close_code: closeCode,
+      close_notes: closeNotes,
+    }, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method checkConflicts
+   * @summary Check a Change's Schedule for Conflicts
+   * @description Checks a change's work_start to work_end window against
+   *   other active changes on the same configuration item and against the
+   *   freezeWindows property. Pass the fields of a planned change, or the
+   *   change_ticket_key of an existing change, whose window and
+   *   configuration item are read from ServiceNow unless the ticket
+   *   overrides them. Without a configuration item only freeze windows are
+   *   checked. Times are compared as given, in UTC, the time zone the Table
+   *   API reads and writes work_start and work_end in.
+   *
+   *   Each conflict has a type, CHANGE_OVERLAP or FREEZE_WINDOW, a reason,
+   *   and the overlapping change's or freeze window's details.
+   *
+   * @param {object} ticket - changeTicket fields: work_start, work_end,
+   *   configuration_item, and optionally change_ticket_key.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  checkConflicts(ticket, callback) {
+    const validationError = checkTicketInput(this.changeTable, ticket || {});
+    if (validationError) {
+      log.error(`ServiceNow: Invalid change ticket for adapter ${this.id}.`);
+      return callback(null, validationError);
+    }
+    const key = ticket.change_ticket_key;
+    if (!key) {
+      return this.findConflicts(ticket, callback);
+    }
+    const keyError = checkRecordKeys({ changeTicketKey: key });
+    if (keyError) {
+      return callback(null, keyError);
+    }
+    return this.readCurrentRecords(this.changeTable, {
+      filter: `sys_id=${key}`,
+      fields: ['change_ticket_key', 'change_ticket_number', 'work_start', 'work_end', 'configuration_item']
+        .map(property => this.fieldMapping.columnFor(property)),
+      limit: 1,
+    }, (tickets, error) => {
+      if (error) {
+        return callback(null, error);
+      }
+      if (!tickets.length) {
+        return callback(null, {
+          code: 'CHANGE_NOT_FOUND',
+          message: `No change ticket has key ${key}.`,
+        });
+      }
+      return this.findConflicts({ ...tickets[0], ...ticket }, callback);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method findConflicts
+   * @summary Find Schedule Conflicts
+   * @description Does the work of checkConflicts() for complete ticket
+   *   fields: checks the window, queries overlapping active changes on the
+   *   configuration item, and adds overlapping freeze windows.
+   *
+   * @param {object} ticket - changeTicket fields with work_start and work_end.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  findConflicts(ticket, callback) {
+    const start = scheduleTime(ticket.work_start);
+    const end = scheduleTime(ticket.work_end);
+    const errors = [];
+    if (!start) {
+      errors.push({ field: 'work_start', message: 'must be a time as YYYY-MM-DD HH:MM[:SS]' });
+    }
+    if (!end) {
+      errors.push({ field: 'work_end', message: 'must be a time as YYYY-MM-DD HH:MM[:SS]' });
+    }
+    if (start && end && start >= end) {
+      errors.push({ field: 'work_end', message: 'must be after work_start' });
+    }
+    const ci = ticket.configuration_item;
+    const keyError = ci ? checkRecordKeys({ configuration_item: ci }) : null;
+    if (keyError) {
+      return callback(null, keyError);
+    }
+    if (errors.length) {
+      return callback(null, {
+        code: 'INVALID_SCHEDULE',
+        message: 'The change has no valid work window to check.',
+        errors,
+      });
+    }
+
+    const conflicts = this.freezeWindows
+      .filter(window => start < window.end && end > window.start)
+      .filter(window => !window.configurationItems || window.configurationItems.includes(ci))
+      .map(window => ({
+        type: 'FREEZE_WINDOW',
+        reason: `The work window falls inside freeze window ${window.name}.`,
+        freeze_window: window.name,
+        start: window.start,
+        end: window.end,
+      }));
+    const report = () => callback({ has_conflicts: conflicts.length > 0, conflicts }, null);
+    if (!ci) {
+      return report();
+    }
+
+    const column = property => this.fieldMapping.columnFor(property);
+    const filter = [
+      `${column('active')}=true`,
+      `${column('configuration_item')}=${ci}`,
+      `${column('work_start')}<${end}`,
+      `${column('work_end')}>${start}`,
+    ];
+    if (ticket.change_ticket_key) {
+      filter.push(`sys_id!=${ticket.change_ticket_key}`);
+    }
+    return this.readCurrentRecords(this.changeTable, {
+      filter: filter.join('^'),
+      orderBy: column('work_start'),
+      fields: ['change_ticket_key', 'change_ticket_number', 'work_start', 'work_end', 'state'].map(column),
+    }, (overlapping, error) => {
+      if (error) {
+        return callback(null, error);
+      }
+      conflicts.unshift(...overlapping.map(change => ({
+        type: 'CHANGE_OVERLAP',
+        reason: `Change ${change.change_ticket_number} is scheduled on the same configuration item from ${change.work_start} to ${change.work_end}.`,
+        change_ticket_key: change.change_ticket_key,
+        change_ticket_number: change.change_ticket_number,
+        start: change.work_start,
+        end: change.work_end,
+      })));
+      return report();
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method createNormalChange
+   * @summary Create a Normal Change
+   * @description Creates a normal change request through the Change
+   *   Management API, so ServiceNow applies the normal change model. The
+   *   fields are validated like postRecord()'s.
+   *
+   * @param {object} [ticket] - Optional changeTicket fields for the new change.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  createNormalChange(ticket, callback) {
+    if (typeof ticket === 'function') {
+      callback = ticket;
+      ticket = {};
+    }
+    return this.createModelChange('normal', null, ticket, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method createEmergencyChange
+   * @summary Create an Emergency Change
+   * @description Creates an emergency change request through the Change
+   *   Management API, so ServiceNow applies the emergency change model.
+   *
+   * @param {object} [ticket] - Optional changeTicket fields for the new change.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  createEmergencyChange(ticket, callback) {
+    if (typeof ticket === 'function') {
+      callback = ticket;
+      ticket = {};
+    }
+    return this.createModelChange('emergency', null, ticket, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method createStandardChange
+   * @summary Create a Standard Change From a Template
+   * @description Creates a standard change request from a standard change
+   *   template through the Change Management API. The template supplies
+   *   the change's values; the passed fields override them. The
+   *   fieldMapping property's defaults are not applied.
+   *
+   * @param {string} templateKey - The template's key (sys_id). See
+   *   getStandardChangeTemplates().
+   * @param {object} [ticket] - Optional changeTicket fields for the new change.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  createStandardChange(templateKey, ticket, callback) {
+    if (typeof ticket === 'function') {
+      callback = ticket;
+      ticket = {};
+    }
+    const keyError = checkRecordKeys({ templateKey });
+    if (keyError) {
+      return callback(null, keyError);
+    }
+    return this.createModelChange('standard', templateKey, ticket, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method createModelChange
+   * @summary Create a Change With a Change Model
+   * @description Validates changeTicket fields and creates the change with
+   *   the Change Management API. The change model sets the type, so a
+   *   different type is refused. Shared by createNormalChange(),
+   *   createEmergencyChange(), and createStandardChange().
+   *
+   * @param {string} type - The change model: normal, emergency, or standard.
+   * @param {string} [templateKey] - The standard change template's key.
+   * @param {object} [ticket] - changeTicket fields for the new change.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  createModelChange(type, templateKey, ticket, callback) {
+    const fields = ticket || {};
+    const validationError = checkTicketInput(this.changeTable, fields);
+    if (validationError) {
+      log.error(`ServiceNow: Invalid change ticket for adapter ${this.id}.`);
+      return callback(null, validationError);
+    }
+    if (fields.type !== undefined && fields.type !== type) {
+      return callback(null, {
+        code: this.changeTable.definition.errorCode,
+        message: `A ${type} change cannot have type ${fields.type}.`,
+        errors: [{ field: 'type', message: `must be ${type}` }],
+      });
+    }
+    // A template's values must not be overwritten by the mapping's defaults.
+    const record = this.fieldMapping.denormalize(fields, type !== 'standard');
+    delete record[this.fieldMapping.columnFor('type')];
+
+    return this.connector.createChange(type, record, templateKey, (returnData, returnError) => {
+      if (returnError) {
+        return callback(null, returnError);
+      }
+      const { body, error } = parseResponse(returnData, 'object');
+      if (error) {
+        log.error(`ServiceNow: Failed to read the created ${type} change. ${error.message}`);
+        return callback(null, error);
+      }
+      return callback(this.normalizeChangeResult(body.result), null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method getStandardChangeTemplates
+   * @summary Get Standard Change Templates
+   * @description Lists the standard change templates available to
+   *   createStandardChange().
+   *
+   * @param {object} [options] - Optional query options.
+   * @param {string} [options.filter] - A ServiceNow encoded query, such as
+   *   `nameLIKEreboot`.
+   * @param {number} [options.limit] - Maximum number of templates to return.
+   * @param {number} [options.offset] - Number of templates to skip.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  getStandardChangeTemplates(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+    const { filter, limit, offset } = options || {};
+    return this.connector.getStandardChangeTemplates({ filter, limit, offset }, (returnData, returnError) => {
+      if (returnError) {
+        return callback(null, returnError);
+      }
+      const { body, error } = parseResponse(returnData, 'array');
+      if (error) {
+        log.error(`ServiceNow: Failed to read standard change templates. ${error.message}`);
+        return callback(null, error);
+      }
+      return callback(body.result.map(normalizeStandardTemplate), null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method calculateConflicts
+   * @summary Run ServiceNow's Conflict Check
+   * @description Runs the Change Management API's conflict check of a
+   *   change request, which checks blackout and maintenance schedules and
+   *   changes already scheduled on its configuration items, and waits for
+   *   the results. A check still running after the conflictCheck.timeout
+   *   property is returned as a CONFLICT_CHECK_TIMEOUT error; a check that
+   *   ServiceNow could not complete as a CONFLICT_CHECK_FAILED error.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  calculateConflicts(changeTicketKey, callback) {
+    const keyError = checkRecordKeys({ changeTicketKey });
+    if (keyError) {
+      return callback(null, keyError);
+    }
+    const settings = { ...DEFAULT_CONFLICT_CHECK, ...this.props.conflictCheck };
+    const deadline = Date.now() + settings.timeout;
+
+    const poll = () => this.connector.getChangeConflicts(changeTicketKey, (returnData, returnError) => {
+      if (returnError) {
+        return callback(null, returnError);
+      }
+      const { body, error } = parseResponse(returnData);
+      if (error) {
+        log.error(`ServiceNow: Failed to read conflict check results. ${error.message}`);
+        return callback(null, error);
+      }
+      const status = body.request_status || {};
+      if (status.state === 'Completed') {
+        const conflicts = (body.result || []).map(normalizeChangeConflict);
+        return callback({ change_ticket_key: changeTicketKey, has_conflicts: conflicts.length > 0, conflicts }, null);
+      }
+      if (!CONFLICT_CHECK_RUNNING.includes(status.state)) {
+        return callback(null, {
+          code: 'CONFLICT_CHECK_FAILED',
+          message: `The conflict check of change ticket ${changeTicketKey} ended in state ${status.state}. ${status.message || ''}`.trim(),
+        });
+      }
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        log.warn(`ServiceNow: The conflict check of change ticket ${changeTicketKey} did not finish within ${settings.timeout} ms.`);
+        return callback(null, {
+          code: 'CONFLICT_CHECK_TIMEOUT',
+          message: `The conflict check of change ticket ${changeTicketKey} did not finish within ${settings.timeout} ms.`,
+        });
+      }
+      return setTimeout(poll, Math.min(settings.pollInterval, remaining));
+    });
+
+    return this.connector.startChangeConflictCheck(changeTicketKey, (started, startError) => {
+      if (startError) {
+        return callback(null, startError);
+      }
+      return poll();
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method calculateRisk
+   * @summary Calculate a Change's Risk
+   * @description Has the Change Management API calculate and store a change
+   *   request's risk and impact. The result holds both as values and
+   *   display labels, and the updated changeTicket.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  calculateRisk(changeTicketKey, callback) {
+    const keyError = checkRecordKeys({ changeTicketKey });
+    if (keyError) {
+      return callback(null, keyError);
+    }
+    return this.connector.calculateChangeRisk(changeTicketKey, (returnData, returnError) => {
+      if (returnError) {
+        return callback(null, returnError);
+      }
+      const { body, error } = parseResponse(returnData, 'object');
+      if (error) {
+        log.error(`ServiceNow: Failed to read the risk calculation. ${error.message}`);
+        return callback(null, error);
+      }
+      const { result } = body;
+      return callback({
+        change_ticket_key: changeTicketKey,
+        risk: changeApiValue(result.risk),
+        risk_label: changeApiValue(result.risk, true),
+        impact: changeApiValue(result.impact),
+        impact_label: changeApiValue(result.impact, true),
+        ticket: this.normalizeChangeResult(result),
+      }, null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method normalizeChangeResult
+   * @summary Normalize a Change Management API Record
+   * @description Maps a change request returned by the Change Management
+   *   API to a changeTicket like getRecord()'s. The record exists already,
+   *   so an invalid ticket is flagged, never dropped.
+   *
+   * @param {object} result - The change request record.
+   *
+   * @return {object} The changeTicket.
+   */
+  normalizeChangeResult(result) {
+    const [ticket] = this.screenTickets(this.changeTable, [this.fieldMapping.normalize(result)], false, 'flag').tickets;
+    return ticket;
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method deleteRecord
+   * @summary Delete ServiceNow Record
+   * @description Deletes a change request.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  deleteRecord(changeTicketKey, callback) {
+    return this.deleteTableRecord(this.props.serviceNowTable, changeTicketKey, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method deleteTableRecord
+   * @summary Delete a Record From a Table
+   * @description Deletes a record from one of the allowed tables. A key
+   *   that is not a sys_id is refused with an INVALID_KEY error.
+   *
+   * @param {string} table - The ServiceNow table, such as incident.
+   * @param {string} key - The record's key (sys_id).
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  deleteTableRecord(table, key, callback) {
+    const handler = this.tableHandlers[table];
+    if (!handler) {
+      log.error(`ServiceNow: Table ${table} is not allowed for adapter ${this.id}.`);
+      return callback(null, tableNotAllowed(table));
+    }
+    const keyError = checkRecordKeys({ key });
+    if (keyError) {
+      return callback(null, keyError);
+    }
+    return handler.connector.delete(key, (returnData, returnError) => {
+      if (returnError) {
+        return callback(null, returnError);
+      }
+      return callback({ [handler.definition.keyProperty]: key, deleted: true }, null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method createChangeTask
+   * @summary Create a Change Task
+   * @description Creates a change_task under a change request. The fields
+   *   are validated against the changeTask schema before any request is
+   *   sent, and the change must exist.
+   *
+   * @param {string} changeTicketKey - The parent change ticket's key (sys_id).
+   * @param {object} [task] - Optional changeTask fields for the new task.
+   *   change_request_key may be omitted; it is set to changeTicketKey.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  createChangeTask(changeTicketKey, task, callback) {
+    if (typeof task === 'function') {
+      callback = task;
+      task = {};
+    }
+    const fields = { ...task };
+    if (fields.change_request_key !== undefined && fields.change_request_key !== changeTicketKey) {
+      return callback(null, {
+        code: 'INVALID_CHANGE_TASK',
+        message: 'The change task must belong to the change ticket it is created under.',
+        errors: [{ field: 'change_request_key', message: 'must equal changeTicketKey' }],
+      });
+    }
+    const validationError = checkRecordKeys({ changeTicketKey })
+      || checkTicketInput(this.changeTaskTable, fields);
+    if (validationError) {
+      log.error(`ServiceNow: Invalid change task for adapter ${this.id}.`);
+      return callback(null, validationError);
+    }
+
+    return this.findChangeTicket(changeTicketKey, (change, error) => {
+      if (error) {
+        return callback(null, error);
+      }
+      return this.createRecord(this.changeTaskTable, { ...fields, change_request_key: changeTicketKey }, callback);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method getChangeTasks
+   * @summary Get a Change's Tasks
+   * @description Retrieves the change_tasks of a change request, normalized
+   *   to changeTasks. A filter narrows the tasks further but cannot start a
+   *   new query with ^NQ, which would escape the change. The change's
+   *   condition is appended after the filter, so ^OR cannot escape it either.
+   *
+   * @param {string} changeTicketKey - The parent change ticket's key (sys_id).
+   * @param {object} [options] - Optional query options accepted by getRecord().
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  getChangeTasks(changeTicketKey, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+    const keyError = checkRecordKeys({ changeTicketKey });
+    if (keyError) {
+      return callback(null, keyError);
+    }
+    const { filter, ...query } = options || {};
+    if (filter !== undefined && filter !== null && typeof filter !== 'string') {
+      return callback(null, {
+        code: 'INVALID_FILTER',
+        message: 'The change task filter must be an encoded query string.',
+        errors: [{ field: 'filter', message: 'must be a string' }],
+      });
+    }
+    if (filter && filter.includes('^NQ')) {
+      return callback(null, {
+        code: 'INVALID_FILTER',
+        message: 'The change task filter cannot start a new query with ^NQ.',
+        errors: [{ field: 'filter', message: 'must not contain ^NQ' }],
+      });
+    }
+
+    // The parent condition goes last, so a filter starting with ^OR cannot join it.
+    const parentFilter = `${this.changeTaskTable.mapping.columnFor('change_request_key')}=${changeTicketKey}`;
+    return this.readRecords(this.changeTaskTable, {
+      ...query,
+      filter: filter ? `${filter}^${parentFilter}` : parentFilter,
+    }, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method updateChangeTask
+   * @summary Update a Change Task
+   * @description Updates fields of a change_task of a change request. The
+   *   fields are validated like updateTableRecord()'s, and a task that does
+   *   not belong to the change is returned as a TASK_NOT_FOUND error.
+   *
+   * @param {string} changeTicketKey - The parent change ticket's key (sys_id).
+   * @param {string} taskKey - The task record's key (sys_id).
+   * @param {object} fields - The changeTask fields to change.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  updateChangeTask(changeTicketKey, taskKey, fields, callback) {
+    const validationError = this.checkUpdate(this.changeTaskTable, fields);
+    if (validationError) {
+      return callback(null, validationError);
+    }
+    return this.findChangeTask(changeTicketKey, taskKey, (task, error) => {
+      if (error) {
+        return callback(null, error);
+      }
+      return this.patchTicket(this.changeTaskTable, taskKey, this.changeTaskTable.mapping.denormalize(fields), callback);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method closeChangeTask
+   * @summary Close a Change Task
+   * @description Moves a change_task of a change request to the Closed state
+   *   and records its close code and close notes. A task that is already
+   *   Closed or Canceled is refused with a TASK_ALREADY_CLOSED error.
+   *
+   * @param {string} changeTicketKey - The parent change ticket's key (sys_id).
+   * @param {string} taskKey - The task record's key (sys_id).
+   * @param {string} closeCode - One of successful, successful_issues, or unsuccessful.
+   * @param {string} closeNotes - Notes describing the outcome of the task.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  closeChangeTask(changeTicketKey, taskKey, closeCode, closeNotes, callback) {
+    const closeError = checkCloseRequest(closeCode, closeNotes, 'change task');
+    if (closeError) {
+      log.error(`ServiceNow: Invalid close request for adapter ${this.id}.`);
+      return callback(null, closeError);
+    }
+    return this.findChangeTask(changeTicketKey, taskKey, (task, error) => {
+      if (error) {
+        return callback(null, error);
+      }
+      const { Closed, Canceled } = lifecycle.TASK_STATES;
+      if (task.state === Closed || task.state === Canceled) {
+        return callback(null, {
+          code: 'TASK_ALREADY_CLOSED',
+          message: `Change task ${task.change_task_number} is already ${task.state === Closed ? 'Closed' : 'Canceled'}.`,
+        });
+      }
+      return this.patchTicket(this.changeTaskTable, taskKey, {
+        state: Closed,
+        close_code: closeCode,
+        close_notes: closeNotes,
+      }, callback);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method findChangeTask
+   * @summary Find a Change Task
+   * @description Reads the key, number, and state of a change_task, provided
+   *   it belongs to the change request. Otherwise the task is returned as a
+   *   TASK_NOT_FOUND error.
+   *
+   * @param {string} changeTicketKey - The parent change ticket's key (sys_id).
+   * @param {string} taskKey - The task record's key (sys_id).
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  findChangeTask(changeTicketKey, taskKey, callback) {
+    const keyError = checkRecordKeys({ changeTicketKey, taskKey });
+    if (keyError) {
+      return callback(null, keyError);
+    }
+    const { mapping } = this.changeTaskTable;
+    return this.readCurrentRecords(this.changeTaskTable, {
+      filter: `sys_id=${taskKey}^${mapping.columnFor('change_request_key')}=${changeTicketKey}`,
+      fields: ['change_task_key', 'change_task_number', 'state'].map(property => mapping.columnFor(property)),
+      limit: 1,
+    }, (tasks, error) => {
+      if (error) {
+        return callback(null, error);
+      }
+      const current = tasks.find(task => task.change_task_key === taskKey);
+      if (!current) {
+        return callback(null, {
+          code: 'TASK_NOT_FOUND',
+          message: `No change task with key ${taskKey} belongs to change ticket ${changeTicketKey}.`,
+        });
+      }
+      return callback(current, null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method addWorkNote
+   * @summary Add a Work Note
+   * @description Adds a work note, visible only to ServiceNow users who work
+   *   the change, to a change request's journal.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {string} text - The note.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  addWorkNote(changeTicketKey, text, callback) {
+    return this.addJournalEntry(changeTicketKey, 'work_notes', text, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method addComment
+   * @summary Add a Comment
+   * @description Adds an additional comment, visible to the change's
+   *   requester too, to a change request's journal.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {string} text - The comment.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  addComment(changeTicketKey, text, callback) {
+    return this.addJournalEntry(changeTicketKey, 'comments', text, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method addJournalEntry
+   * @summary Add a Journal Entry
+   * @description Writes text to a journal field of a change request.
+   *   ServiceNow appends it to the journal rather than replacing earlier
+   *   entries, so a failed write is not retried, which could add it twice.
+   *   Shared by addWorkNote() and addComment().
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {string} field - The journal field: work_notes or comments.
+   * @param {string} text - The entry's text.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  addJournalEntry(changeTicketKey, field, text, callback) {
+    const validationError = checkRecordKeys({ changeTicketKey }) || (typeof text !== 'string' || !text.trim() ? {
+      code: 'INVALID_JOURNAL_ENTRY',
+      message: `The ${JOURNAL_TYPES[field].replace('_', ' ')} cannot be empty.`,
+      errors: [{ field: 'text', message: 'must be a non-empty string' }],
+    } : null);
+    if (validationError) {
+      log.error(`ServiceNow: Invalid journal entry for adapter ${this.id}.`);
+      return callback(null, validationError);
+    }
+    return this.patchTicket(this.changeTable, changeTicketKey, { [field]: text }, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method getJournal
+   * @summary Get a Change's Journal
+   * @description Reads the work notes and comments of a change request from
+   *   sys_journal_field, oldest first. Each entry has its type (work_note or
+   *   comment), text, author, and creation time.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  getJournal(changeTicketKey, callback) {
+    const keyError = checkRecordKeys({ changeTicketKey });
+    if (keyError) {
+      return callback(null, keyError);
+    }
+    const entries = [];
+    return this.journalConnector.getPages({
+      filter: `name=${this.props.serviceNowTable}^element_id=${changeTicketKey}^elementIN${Object.keys(JOURNAL_TYPES).join(',')}`,
+      orderBy: 'sys_created_on',
+      fields: ['sys_id', 'element', 'value', 'sys_created_by', 'sys_created_on'],
+    }, (records, next) => {
+      entries.push(...records.map(normalizeJournalEntry));
+      return next();
+    }, (summary, error) => {
+      if (error) {
+        log.error(`ServiceNow: Failed to read the journal of ${changeTicketKey} for adapter ${this.id}.`);
+        return callback(null, error);
+      }
+      return callback(entries, null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method getApprovals
+   * @summary Get a Change's Approvals
+   * @description Reads the sysapproval_approver records of a change request,
+   *   oldest first.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  getApprovals(changeTicketKey, callback) {
+    const keyError = checkRecordKeys({ changeTicketKey });
+    if (keyError) {
+      return callback(null, keyError);
+    }
+    return this.readRecords(this.approvalTable, {
+      filter: `sysapproval=${changeTicketKey}`,
+      orderBy: 'sys_created_on',
+    }, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method getApprovalStatus
+   * @summary Get a Change's Approval Status
+   * @description Reads a change request's approvals and combines them into
+   *   one status: rejected, requested, approved, or not requested. The
+   *   report also counts the approvals in each state and lists them.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  getApprovalStatus(changeTicketKey, callback) {
+    return this.getApprovals(changeTicketKey, (approvals, error) => {
+      if (error) {
+        return callback(null, error);
+      }
+      const counts = {};
+      approvals.forEach((approval) => {
+        counts[approval.state] = (counts[approval.state] || 0) + 1;
+      });
+      return callback({
+        change_ticket_key: changeTicketKey,
+        status: combineApprovals(approvals),
+        counts,
+        approvals,
+      }, null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method approveChange
+   * @summary Approve a Change
+   * @description Approves a change request on behalf of the approvals.userName
+   *   user, whose approval must have been requested.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {string} [comments] - Optional comments recorded with the approval.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  approveChange(changeTicketKey, comments, callback) {
+    if (typeof comments === 'function') {
+      callback = comments;
+      comments = null;
+    }
+    return this.decideApproval(changeTicketKey, 'approved', comments, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method rejectChange
+   * @summary Reject a Change
+   * @description Rejects a change request on behalf of the approvals.userName
+   *   user, whose approval must have been requested. ServiceNow requires a
+   *   reason, so comments are required.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {string} comments - Why the change is rejected.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  rejectChange(changeTicketKey, comments, callback) {
+    return this.decideApproval(changeTicketKey, 'rejected', comments, callback);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method decideApproval
+   * @summary Approve or Reject a Change
+   * @description Finds the approving user's requested approval of a change
+   *   and sets its state. A missing approval is returned as an
+   *   APPROVAL_NOT_FOUND error. Shared by approveChange() and rejectChange().
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {string} state - approved or rejected.
+   * @param {string} [comments] - Comments recorded with the decision.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  decideApproval(changeTicketKey, state, comments, callback) {
+    const errors = [];
+    if (comments !== undefined && comments !== null && typeof comments !== 'string') {
+      errors.push({ field: 'comments', message: 'must be a string' });
+    } else if (state === 'rejected' && !(comments && comments.trim())) {
+      errors.push({ field: 'comments', message: 'must explain the rejection' });
+    }
+    const validationError = checkRecordKeys({ changeTicketKey }) || (errors.length ? {
+      code: 'INVALID_APPROVAL',
+      message: 'The change cannot be approved or rejected with the supplied values.',
+      errors,
+    } : null);
+    if (validationError) {
+      log.error(`ServiceNow: Invalid approval decision for adapter ${this.id}.`);
+      return callback(null, validationError);
+    }
+
+    return this.findApproverKey((approverKey, userError) => {
+      if (userError) {
+        return callback(null, userError);
+      }
+      return this.readRecords(this.approvalTable, {
+        filter: `sysapproval=${changeTicketKey}^approver=${approverKey}^state=requested`,
+        limit: 1,
+      }, (approvals, error) => {
+        if (error) {
+          return callback(null, error);
+        }
+        if (!approvals.length) {
+          return callback(null, {
+            code: 'APPROVAL_NOT_FOUND',
+            message: `No approval of change ticket ${changeTicketKey} is requested from the adapter's approver.`,
+          });
+        }
+        const record = { state };
+        if (comments) {
+          record.comments = comments;
+        }
+        log.info(`ServiceNow: Change ticket ${changeTicketKey} ${state} by adapter ${this.id}.`);
+        return this.patchTicket(this.approvalTable, approvals[0].approval_key, record, callback);
+      });
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method findApproverKey
+   * @summary Find the Approving User
+   * @description Looks up the sys_user key of the approvals.userName user,
+   *   or of auth.username, and keeps it for later calls.
+   *
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  findApproverKey(callback) {
+    if (this.approverKey) {
+      return callback(this.approverKey, null);
+    }
+    const userName = (this.props.approvals && this.props.approvals.userName) || this.props.auth.username;
+    if (!userName || userName.includes('^')) {
+      return callback(null, {
+        code: 'APPROVER_UNKNOWN',
+        message: 'Set the approvals.userName property to the ServiceNow user who approves changes.',
+      });
+    }
+    return this.userConnector.get({ filter: `user_name=${userName}`, fields: ['sys_id'], limit: 1 }, (returnData, returnError) => {
+      if (returnError) {
+        return callback(null, returnError);
+      }
+      const { body, error } = parseResponse(returnData, 'array');
+      if (error) {
+        return callback(null, error);
+      }
+      const [user] = body.result;
+      if (!user) {
+        return callback(null, {
+          code: 'APPROVER_UNKNOWN',
+          message: `ServiceNow has no user named ${userName}.`,
+        });
+      }
+      this.approverKey = user.sys_id;
+      return callback(this.approverKey, null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method waitForApproval
+   * @summary Wait for a Change's Approval
+   * @description Checks a change request's approval status every
+   *   approvals.pollInterval milliseconds until it is approved or rejected,
+   *   then returns the getApprovalStatus() report. A change still undecided
+   *   when the timeout expires is returned as an APPROVAL_TIMEOUT error.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {number} [timeout] - Milliseconds to wait. Defaults to the
+   *   approvals.timeout property.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  waitForApproval(changeTicketKey, timeout, callback) {
+    if (typeof timeout === 'function') {
+      callback = timeout;
+      timeout = null;
+    }
+    const settings = { ...DEFAULT_APPROVALS, ...this.props.approvals };
+    const waitFor = timeout === undefined || timeout === null ? settings.timeout : timeout;
+    if (!Number.isInteger(waitFor) || waitFor < 0) {
+      return callback(null, {
+        code: 'INVALID_APPROVAL',
+        message: 'The approval wait needs a timeout in milliseconds.',
+        errors: [{ field: 'timeout', message: 'must be a non-negative integer' }],
+      });
+    }
+
+    const deadline = Date.now() + waitFor;
+    const poll = () => this.getApprovalStatus(changeTicketKey, (report, error) => {
+      if (error) {
+        return callback(null, error);
+      }
+      if (report.status === 'approved' || report.status === 'rejected') {
+        return callback(report, null);
+      }
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        log.warn(`ServiceNow: Change ticket ${changeTicketKey} was not approved within ${waitFor} ms.`);
+        return callback(null, {
+          code: 'APPROVAL_TIMEOUT',
+          message: `Change ticket ${changeTicketKey} was not approved or rejected within ${waitFor} ms.`,
+          status: report.status,
+        });
+      }
+      return setTimeout(poll, Math.min(settings.pollInterval, remaining));
+    });
+    return poll();
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method addAttachment
+   * @summary Attach a File to a Change
+   * @description Uploads content, such as pre-check output or a config diff,
+   *   as an attachment of a change request. The content type is detected
+   *   from the file name or content unless given. Content larger than the
+   *   attachments.maxUploadSize property fails with code EFBIG.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {string} fileName - The attachment's file name.
+   * @param {(string|Buffer)} content - The file content.
+   * @param {object} [options] - Optional upload options.
+   * @param {string} [options.encoding=utf8] - How string content is
+   *   encoded: utf8 or base64.
+   * @param {string} [options.contentType] - The content type.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  addAttachment(changeTicketKey, fileName, content, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+    const { encoding = 'utf8', contentType } = options || {};
+    const errors = [];
+    if (typeof fileName !== 'string' || !fileName.trim()) {
+      errors.push({ field: 'fileName', message: 'must be a non-empty string' });
+    }
+    if (typeof content !== 'string' && !Buffer.isBuffer(content)) {
+      errors.push({ field: 'content', message: 'must be a string or Buffer' });
+    }
+    if (encoding !== 'utf8' && encoding !== 'base64') {
+      errors.push({ field: 'encoding', message: 'must be utf8 or base64' });
+    }
+    const validationError = checkRecordKeys({ changeTicketKey }) || (errors.length ? {
+      code: 'INVALID_ATTACHMENT',
+      message: 'The attachment cannot be uploaded with the supplied values.',
+      errors,
+    } : null);
+    if (validationError) {
+      log.error(`ServiceNow: Invalid attachment for adapter ${this.id}.`);
+      return callback(null, validationError);
+    }
+
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, encoding);
+    return this.connector.uploadAttachment(changeTicketKey, buffer, { fileName, contentType }, (returnData, returnError) => {
+      if (returnError) {
+        log.error(`ServiceNow: Failed to attach ${fileName} for adapter ${this.id}.`);
+        return callback(null, returnError);
+      }
+      const { body, error } = parseResponse(returnData, 'object');
+      if (error) {
+        log.error(`ServiceNow: Failed to read attachment ${fileName} for adapter ${this.id}. ${error.message}`);
+        return callback(null, error);
+      }
+      return callback(normalizeAttachment(body.result), null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method getAttachments
+   * @summary List a Change's Attachments
+   * @description Lists the attachments of a change request, oldest first.
+   *
+   * @param {string} changeTicketKey - The ticket record's key (sys_id).
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  getAttachments(changeTicketKey, callback) {
+    const keyError = checkRecordKeys({ changeTicketKey });
+    if (keyError) {
+      return callback(null, keyError);
+    }
+    return this.connector.listAttachments(changeTicketKey, (returnData, returnError) => {
+      if (returnError) {
+        return callback(null, returnError);
+      }
+      const { body, error } = parseResponse(returnData, 'array');
+      if (error) {
+        return callback(null, error);
+      }
+      return callback(body.result.map(normalizeAttachment), null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method getAttachmentContent
+   * @summary Download an Attachment
+   * @description Downloads an attachment and returns its details with the
+   *   content as a string. Content larger than the
+   *   attachments.maxDownloadSize property fails with code EFBIG. Use the
+   *   connector's downloadAttachment() to stream large files instead.
+   *
+   * @param {string} attachmentKey - The attachment's key (sys_id).
+   * @param {string} [encoding=base64] - How the content is returned: utf8 or base64.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  getAttachmentContent(attachmentKey, encoding, callback) {
+    if (typeof encoding === 'function') {
+      callback = encoding;
+      encoding = null;
+    }
+    const contentEncoding = encoding || 'base64';
+    const validationError = checkRecordKeys({ attachmentKey }) || (contentEncoding !== 'utf8' && contentEncoding !== 'base64' ? {
+      code: 'INVALID_ATTACHMENT',
+      message: 'The attachment cannot be downloaded with the supplied values.',
+      errors: [{ field: 'encoding', message: 'must be utf8 or base64' }],
+    } : null);
+    if (validationError) {
+      return callback(null, validationError);
+    }
+
+    return this.connector.downloadAttachment(attachmentKey, (download, downloadError) => {
+      if (downloadError) {
+        log.error(`ServiceNow: Failed to download attachment ${attachmentKey} for adapter ${this.id}.`);
+        return callback(null, downloadError);
+      }
+      const chunks = [];
+      download.stream.on('data', chunk => chunks.push(chunk));
+      download.stream.on('error', (error) => {
+        log.error(`ServiceNow: Failed to download attachment ${attachmentKey} for adapter ${this.id}.`);
+        callback(null, error);
+      });
+      return download.stream.on('end', () => {
+        const content = Buffer.concat(chunks);
+        callback({
+          ...(download.metadata ? normalizeAttachment(download.metadata) : { attachment_key: attachmentKey }),
+          content_type: download.contentType,
+          size_bytes: content.length,
+          encoding: contentEncoding,
+          content: content.toString(contentEncoding),
+        }, null);
+      });
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method deleteAttachment
+   * @summary Delete an Attachment
+   * @description Deletes an attachment.
+   *
+   * @param {string} attachmentKey - The attachment's key (sys_id).
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  deleteAttachment(attachmentKey, callback) {
+    const keyError = checkRecordKeys({ attachmentKey });
+    if (keyError) {
+      return callback(null, keyError);
+    }
+    return this.connector.deleteAttachment(attachmentKey, (returnData, returnError) => {
+      if (returnError) {
+        return callback(null, returnError);
+      }
+      return callback({ attachment_key: attachmentKey, deleted: true }, null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method patchTicket
+   * @summary Patch ServiceNow Record
+   * @description Sends record fields to the table connector's patch() method
+   *   and normalizes the updated record. Shared by updateTableRecord(),
+   *   applyTransition(), and the change task methods.
+   *
+   * @param {object} handler - The table's handler from createTableHandler().
+   * @param {string} changeTicketKey - The record's key (sys_id).
+   * @param {object} record - Record fields keyed by ServiceNow column name.
+   * @param {ServiceNowAdapter~requestCallback} callback - The callback that
+   *   handles the response.
+   */
+  patchTicket(handler, changeTicketKey, record, callback) {
+    return handler.connector.patch(changeTicketKey, record, (returnData, returnError) => {
+      if (returnError) {
+        return callback(null, returnError);
+      }
+      const { body, error } = parseResponse(returnData, 'object');
+      if (error) {
+        log.error(`ServiceNow: Failed to read the updated ${handler.definition.title} for adapter ${this.id}. ${error.message}`);
+        return callback(null, error);
+      }
+      // The update is applied already, so an invalid result is flagged, never dropped.
+      const [updatedTicket] = this.screenTickets(handler, [handler.mapping.normalize(body.result)], false, 'flag').tickets;
+      return callback(updatedTicket, null);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method screenTickets
+   * @summary Validate Normalized Tickets
+   * @description Validates records read from ServiceNow against the table's
+   *   schema, such as changeTicket's, and applies the invalidTickets
+   *   property to those that do not match: drop leaves them out, flag
+   *   returns them with a validation_errors array, and reject returns an
+   *   error, such as INVALID_CHANGE_TICKET_OUTPUT, naming every invalid record.
+   *
+   * @param {object} handler - The table's handler from createTableHandler().
+   * @param {object[]} tickets - Normalized documents.
+   * @param {boolean} partial - True when the query selected fields, so
+   *   missing properties are not errors.
+   * @param {string} [policy] - Overrides the invalidTickets property.
+   *
+   * @return {object} The tickets to return, or the error when rejected.
+   */
+  screenTickets(handler, tickets, partial, policy = this.invalidTicketPolicy) {
+    const { title, keyProperty, numberProperty, errorCode } = handler.definition;
+    const validate = partial ? handler.validateInput : handler.validateOutput;
+    const accepted = [];
+    const rejected = [];
+    let invalidCount = 0;
+
+    tickets.forEach((ticket) => {
+      if (validate(ticket)) {
+        return accepted.push(ticket);
+      }
+      invalidCount += 1;
+      const label = ticket[numberProperty] || ticket[keyProperty];
+      const errors = describeSchemaErrors(validate.errors);
+      if (policy === 'flag') {
+        log.warn(`ServiceNow: Record ${label} does not match the ${title} schema.`);
+        return accepted.push({ ...ticket, validation_errors: errors });
+      }
+      if (policy === 'drop') {
+        log.warn(`ServiceNow: Dropped record ${label}, which does not match the ${title} schema.`);
+        return null;
+      }
+      return rejected.push(...errors.map(error => ({ ticket: label, ...error })));
+    });
+
+    if (rejected.length) {
+      return {
+        tickets: null,
+        error: {
+          code: `${errorCode}_OUTPUT`,
+          message: `${invalidCount} record(s) read from ServiceNow do not match the ${title} schema.`,
+          errors: rejected,
+        },
+      };
+    }
+    return { tickets: accepted, error: null };
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method getAllRecords
+   * @summary Stream All ServiceNow Records
+   * @description Walks every record matching the options one page at a time
+   *   and returns an object-mode Readable of normalized changeTickets. Use it
+   *   as an async iterator (`for await (const ticket of stream)`) or listen
+   *   for its data, end, and error events. The next page is requested only
+   *   after the consumer has drained the current one.
+   *
+   * @param {object} [options] - Query options accepted by getRecord().
+   * @param {number} [options.pageSize] - Records requested per page.
+   *   Defaults to the adapter's pagination.pageSize property.
+   * @param {number} [options.maxRecords] - Hard cap on records returned.
+   *   Defaults to the adapter's pagination.maxRecords property.
+   *
+   * @return {stream.Readable} Readable stream of changeTicket objects.
+   */
+  getAllRecords(options) {
+    return this.getAllTableRecords(this.props.serviceNowTable, options);
+  }
+
+  /**
+   * @memberof ServiceNowAdapter
+   * @method getAllTableRecords
+   * @summary Stream All Records of a Table
+   * @description Like getAllRecords(), for one of the allowed tables. For a
+   *   table missing from the allowedTables property, the stream fails with
+   *   a TABLE_NOT_ALLOWED error.
+   *
+   * @param {string} table - The ServiceNow table, such as incident.
+   * @param {object} [options] - Options accepted by getAllRecords().
+   *
+   * @return {stream.Readable} Readable stream of the table's documents.
+   */
+  getAllTableRecords(table, options) {
+    const handler = this.tableHandlers[table];
+    let pendingPage = null;
+    const stream = new Readable({
+      objectMode: true,
+      read() {
+        if (pendingPage) {
+          const next = pendingPage;
+          pendingPage = null;
+          next();
         }
+      },
+    });
+
+    if (!handler) {
+      log.error(`ServiceNow: Table ${table} is not allowed for adapter ${this.id}.`);
+      return stream.destroy(toError(tableNotAllowed(table)));
+    }
 
-        return callback(ticket, null);
+    handler.connector.getPages(options, (records, next) => {
+      const screened = this.screenTickets(handler, records.map(record => handler.mapping.normalize(record)), Boolean(options && options.fields));
+      if (screened.error) {
+        log.error(`ServiceNow: ${screened.error.message} Adapter ${this.id}.`);
+        return stream.destroy(toError(screened.error));
+      }
+      let wantsMore = true;
+      screened.tickets.forEach((ticket) => {
+        wantsMore = stream.push(ticket);
       });
-    } catch(error) {
-      log.error('ServiceNow: Failed to post record.');
-      return callback(null, error);
-    } 
+      if (wantsMore) {
+        return next();
+      }
+      pendingPage = next;
+      return null;
+    }, (summary, error) => {
+      if (error) {
+        log.error(`ServiceNow: Failed to get all records for adapter ${this.id}.`);
+        stream.destroy(toError(error));
+      } else {
+        log.debug(`ServiceNow: Read ${summary.records} records in ${summary.pages} pages.`);
+        stream.push(null);
+      }
+    });
+
+    return stream;
   }
 }
 
+// Each task method returns a promise when called without a callback.
+// healthcheck() is left out because connect() calls it without one.
+addPromiseSupport(ServiceNowAdapter, [
+  'getHealthReport',
+  'getRequestStats',
+  'clearCache',
+  'getRecord',
+  'postRecord',
+  'updateRecord',
+  'transitionRecord',
+  'closeRecord',
+  'checkConflicts',
+  'createNormalChange',
+  'createEmergencyChange',
+  'createStandardChange',
+  'getStandardChangeTemplates',
+  'calculateConflicts',
+  'calculateRisk',
+  'deleteRecord',
+  'getTableRecord',
+  'postTableRecord',
+  'updateTableRecord',
+  'deleteTableRecord',
+  'createChangeTask',
+  'getChangeTasks',
+  'updateChangeTask',
+  'closeChangeTask',
+  'addWorkNote',
+  'addComment',
+  'getJournal',
+  'getApprovals',
+  'getApprovalStatus',
+  'approveChange',
+  'rejectChange',
+  'waitForApproval',
+  'addAttachment',
+  'getAttachments',
+  'getAttachmentContent',
+  'deleteAttachment',
+]);
+
 module.exports = ServiceNowAdapter;
\ No newline at end of file
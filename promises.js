@@ -0,0 +1,75 @@
+/**
+ * Promise support for the adapter's callback methods.
+ *
+ * @summary Promise API Helpers
+ * @description IAP calls adapter methods with a data-first callback. These
+ *   helpers let the same methods return a promise when a script calls them
+ *   without a callback, so both forms share one implementation.
+ */
+
+/**
+ * @function toError
+ * @description Converts an error passed to an IAP callback into an Error
+ *   instance. The connector reports errors as Error objects, strings, HTTP
+ *   responses, or structured objects with code and message properties.
+ *
+ * @param {*} error - The errorMessage argument of an IAP callback.
+ *
+ * @return {Error} An Error carrying the original error's details.
+ */
+function toError(error) {
+  if (error instanceof Error) {
+    return error;
+  }
+  if (typeof error === 'string') {
+    return new Error(error);
+  }
+  if (error && error.statusCode !== undefined) {
+    const responseError = new Error(`ServiceNow responded with status ${error.statusCode}.`);
+    responseError.response = error;
+    return responseError;
+  }
+  if (error && error.message) {
+    return Object.assign(new Error(error.message), error);
+  }
+  const unknownError = new Error('ServiceNow request failed.');
+  unknownError.detail = error;
+  return unknownError;
+}
+
+/**
+ * @function addPromiseSupport
+ * @description Wraps methods of a class so each returns a promise when its
+ *   last argument is not a callback. The callback must be the method's last
+ *   declared parameter and must not have a default value. When a callback is
+ *   passed, the method runs unchanged.
+ *
+ * @param {function} targetClass - The class whose prototype methods are wrapped.
+ * @param {string[]} methodNames - The names of the methods to wrap.
+ */
+function addPromiseSupport(targetClass, methodNames) {
+  methodNames.forEach((methodName) => {
+    const method = targetClass.prototype[methodName];
+    const callbackIndex = method.length - 1;
+
+    const wrapped = function (...args) {
+      if (typeof args[args.length - 1] === 'function') {
+        return method.apply(this, args);
+      }
+      return new Promise((resolve, reject) => {
+        const callArgs = args.slice(0, callbackIndex);
+        callArgs.length = callbackIndex;
+        callArgs.push((data, error) => (error ? reject(toError(error)) : resolve(data)));
+        method.apply(this, callArgs);
+      });
+    };
+    Object.defineProperty(wrapped, 'name', { value: methodName });
+    Object.defineProperty(wrapped, 'length', { value: method.length });
+    targetClass.prototype[methodName] = wrapped;
+  });
+}
+
+module.exports = {
+  toError,
+  addPromiseSupport,
+};
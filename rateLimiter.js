@@ -0,0 +1,151 @@
+/**
+ * The RateLimiter class.
+ *
+ * @summary Request Rate and Concurrency Limiter
+ * @description This class paces requests to ServiceNow with a token bucket
+ *   and caps how many run at once. Requests that cannot start right away
+ *   wait in a first-in, first-out queue with a bounded depth and a timeout.
+ */
+class RateLimiter {
+
+  /**
+   * @memberof RateLimiter
+   * @constructs
+   * @description Copies the options and fills the token bucket.
+   *
+   * @param {object} [options] - Limiter options.
+   * @param {number} [options.requestsPerSecond=0] - Sustained request rate.
+   *   0 disables rate limiting.
+   * @param {number} [options.burst] - Requests that may start back to back
+   *   before the rate applies. Defaults to requestsPerSecond, at least 1.
+   * @param {number} [options.maxConcurrent=10] - Most requests in flight at once.
+   * @param {number} [options.maxQueueDepth=1000] - Most requests waiting to
+   *   start. Further requests fail with code EQUEUEFULL.
+   * @param {number} [options.queueTimeout=60000] - Milliseconds a request may
+   *   wait to start before it fails with code EQUEUETIMEOUT.
+   */
+  constructor(options = {}) {
+    this.requestsPerSecond = options.requestsPerSecond || 0;
+    this.burst = options.burst || Math.max(1, this.requestsPerSecond);
+    this.maxConcurrent = options.maxConcurrent || 10;
+    this.maxQueueDepth = options.maxQueueDepth !== undefined ? options.maxQueueDepth : 1000;
+    this.queueTimeout = options.queueTimeout || 60000;
+
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.inFlight = 0;
+    this.queue = [];
+    this.refillTimer = null;
+  }
+
+  /**
+   * @memberof RateLimiter
+   * @method acquire
+   * @description Waits for a free slot and a rate token. A request starts
+   *   at once when both are free; otherwise it waits in the queue, or fails
+   *   when maxQueueDepth requests are waiting already. The callback
+   *   receives a release function that must be called once the request
+   *   finishes.
+   *
+   * @param {iapCallback} callback - Callback a function.
+   * @param {function} callback.data - Releases the slot.
+   * @param {error} callback.error - Why the request could not start.
+   */
+  acquire(callback) {
+    const entry = { callback, timer: null };
+    this.queue.push(entry);
+    this.drain();
+    if (!this.queue.includes(entry)) {
+      return;
+    }
+
+    // Only requests that must wait count against the queue depth.
+    if (this.queue.length > this.maxQueueDepth) {
+      this.queue.splice(this.queue.indexOf(entry), 1);
+      const queueError = new Error(`Request queue is full with ${this.queue.length} waiting requests.`);
+      queueError.code = 'EQUEUEFULL';
+      callback(null, queueError);
+      return;
+    }
+    entry.timer = setTimeout(() => {
+      this.queue.splice(this.queue.indexOf(entry), 1);
+      const timeoutError = new Error(`Request waited more than ${this.queueTimeout} ms to start.`);
+      timeoutError.code = 'EQUEUETIMEOUT';
+      callback(null, timeoutError);
+    }, this.queueTimeout);
+  }
+
+  /**
+   * @memberof RateLimiter
+   * @method drain
+   * @description Starts queued requests while slots and tokens allow. When
+   *   only tokens are short, drains again once the next token is due.
+   */
+  drain() {
+    while (this.queue.length && this.inFlight < this.maxConcurrent) {
+      if (!this.takeToken()) {
+        if (!this.refillTimer) {
+          const wait = Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000);
+          this.refillTimer = setTimeout(() => {
+            this.refillTimer = null;
+            this.drain();
+          }, wait);
+        }
+        return;
+      }
+
+      const entry = this.queue.shift();
+      clearTimeout(entry.timer);
+      this.inFlight += 1;
+      let released = false;
+      entry.callback(() => {
+        if (!released) {
+          released = true;
+          this.inFlight -= 1;
+          this.drain();
+        }
+      }, null);
+    }
+  }
+
+  /**
+   * @memberof RateLimiter
+   * @method takeToken
+   * @description Refills the bucket for the time elapsed and takes a token.
+   *
+   * @return {boolean} True when a token was available.
+   */
+  takeToken() {
+    if (!this.requestsPerSecond) {
+      return true;
+    }
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.requestsPerSecond);
+    this.lastRefill = now;
+    if (this.tokens < 1) {
+      return false;
+    }
+    this.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * @memberof RateLimiter
+   * @method stats
+   * @description Reports the limiter's current load.
+   *
+   * @return {object} The number of queued and in-flight requests and the
+   *   configured limits.
+   */
+  stats() {
+    return {
+      queued: this.queue.length,
+      inFlight: this.inFlight,
+      maxConcurrent: this.maxConcurrent,
+      maxQueueDepth: this.maxQueueDepth,
+      requestsPerSecond: this.requestsPerSecond,
+    };
+  }
+}
+
+module.exports = RateLimiter;
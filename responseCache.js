@@ -0,0 +1,227 @@
+// Settings used for any option the cache property omits. Times are in milliseconds.
+const DEFAULT_CACHE = {
+  ttl: 30000,
+  maxEntries: 500,
+};
+
+/**
+ * Tables whose records a write to another table can change through
+ * ServiceNow business rules, keyed by the written table. Writing journal
+ * columns adds sys_journal_field records; approval decisions move the
+ * change; a change's state cancels or opens its tasks and approvals.
+ */
+const RELATED_TABLES = {
+  change_request: ['sys_journal_field', 'sysapproval_approver', 'change_task'],
+  change_task: ['change_request', 'sys_journal_field'],
+  sysapproval_approver: ['change_request', 'sys_journal_field'],
+  incident: ['sys_journal_field'],
+  problem: ['sys_journal_field'],
+};
+
+/**
+ * The ResponseCache class.
+ *
+ * @summary Table Read Cache
+ * @description This class keeps table API responses keyed by table and
+ *   query string. Entries live for the table's TTL and the least recently
+ *   used entry is dropped beyond maxEntries. An expired entry whose
+ *   response had an ETag or Last-Modified header is kept so the next read
+ *   can revalidate it with a conditional request.
+ *
+ *   Every invalidation advances a generation counter. A read records the
+ *   generation it started in, and its response is not stored when its
+ *   table was invalidated while the read was in flight.
+ */
+class ResponseCache {
+
+  /**
+   * @memberof ResponseCache
+   * @constructs
+   * @description Creates an empty cache.
+   *
+   * @param {object} [options] - The cache adapter property.
+   * @param {number} [options.ttl=30000] - Milliseconds a response is fresh.
+   * @param {object} [options.tables] - TTLs of individual tables, keyed by
+   *   table name. 0 leaves a table uncached.
+   * @param {number} [options.maxEntries=500] - Most responses kept.
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl !== undefined ? options.ttl : DEFAULT_CACHE.ttl;
+    this.tables = { ...options.tables };
+    this.maxEntries = options.maxEntries || DEFAULT_CACHE.maxEntries;
+    // A Map iterates in insertion order, so its first key is the least recently used.
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    // Counts invalidations. Tables map to the generation they were last
+    // invalidated in; clearedAt is the generation of the last full clear.
+    this.generation = 0;
+    this.invalidatedAt = {};
+    this.clearedAt = 0;
+  }
+
+  /**
+   * @memberof ResponseCache
+   * @method ttlFor
+   * @description Returns how long a table's responses are fresh.
+   *
+   * @param {string} table - The table name.
+   *
+   * @return {number} The TTL in milliseconds. 0 when the table is not cached.
+   */
+  ttlFor(table) {
+    return this.tables[table] !== undefined ? this.tables[table] : this.ttl;
+  }
+
+  /**
+   * @memberof ResponseCache
+   * @method lookup
+   * @description Finds the response of a query and marks it recently used.
+   *   An expired entry without validators is dropped.
+   *
+   * @param {string} table - The table name.
+   * @param {string} query - The URL query string.
+   *
+   * @return {(object|null)} The entry's response, whether it is fresh, and
+   *   the headers of a conditional request, or null on a miss.
+   */
+  lookup(table, query) {
+    const key = `${table}?${query}`;
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses += 1;
+      return null;
+    }
+    this.entries.delete(key);
+    const fresh = entry.expires > Date.now();
+    if (!fresh && !entry.validators) {
+      this.misses += 1;
+      return null;
+    }
+    this.entries.set(key, entry);
+    if (fresh) {
+      this.hits += 1;
+    }
+    return {
+      response: { ...entry.response },
+      fresh,
+      validators: entry.validators,
+    };
+  }
+
+  /**
+   * @memberof ResponseCache
+   * @method store
+   * @description Keeps a response, dropping the least recently used entries
+   *   beyond maxEntries. Does nothing for an uncached table, or when the
+   *   table was invalidated after the read started.
+   *
+   * @param {string} table - The table name.
+   * @param {string} query - The URL query string.
+   * @param {object} response - The response, with statusCode, headers, and body.
+   * @param {number} [generation] - The generation the read started in.
+   */
+  store(table, query, response, generation = this.generation) {
+    const ttl = this.ttlFor(table);
+    if (ttl <= 0 || this.clearedAt > generation || (this.invalidatedAt[table] || 0) > generation) {
+      return;
+    }
+    const headers = response.headers || {};
+    let validators = null;
+    if (headers.etag) {
+      validators = { 'If-None-Match': headers.etag };
+    } else if (headers['last-modified']) {
+      validators = { 'If-Modified-Since': headers['last-modified'] };
+    }
+    const key = `${table}?${query}`;
+    this.entries.delete(key);
+    this.entries.set(key, {
+      table,
+      response: { statusCode: response.statusCode, headers, body: response.body },
+      expires: Date.now() + ttl,
+      validators,
+    });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * @memberof ResponseCache
+   * @method refresh
+   * @description Makes an entry fresh again after ServiceNow answered its
+   *   conditional request with 304 Not Modified.
+   *
+   * @param {string} table - The table name.
+   * @param {string} query - The URL query string.
+   */
+  refresh(table, query) {
+    const entry = this.entries.get(`${table}?${query}`);
+    if (entry) {
+      entry.expires = Date.now() + this.ttlFor(table);
+      this.hits += 1;
+    }
+  }
+
+  /**
+   * @memberof ResponseCache
+   * @method invalidate
+   * @description Drops the responses of a table that was written to and of
+   *   the tables the write can change.
+   *
+   * @param {string} table - The table written to.
+   *
+   * @return {number} The number of entries dropped.
+   */
+  invalidate(table) {
+    const affected = [table, ...(RELATED_TABLES[table] || ['sys_journal_field'])];
+    return this.clear(affected);
+  }
+
+  /**
+   * @memberof ResponseCache
+   * @method clear
+   * @description Drops cached responses and starts a new generation, so
+   *   reads in flight do not store their responses.
+   *
+   * @param {string[]} [tables] - Only drop these tables' responses.
+   *
+   * @return {number} The number of entries dropped.
+   */
+  clear(tables) {
+    this.generation += 1;
+    if (tables) {
+      tables.forEach((table) => {
+        this.invalidatedAt[table] = this.generation;
+      });
+    } else {
+      this.clearedAt = this.generation;
+    }
+    let cleared = 0;
+    this.entries.forEach((entry, key) => {
+      if (!tables || tables.includes(entry.table)) {
+        this.entries.delete(key);
+        cleared += 1;
+      }
+    });
+    return cleared;
+  }
+
+  /**
+   * @memberof ResponseCache
+   * @method stats
+   * @description Reports the cache's size and hit counts.
+   *
+   * @return {object} The entries held, maxEntries, hits, and misses.
+   */
+  stats() {
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+}
+
+module.exports = ResponseCache;
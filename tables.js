@@ -0,0 +1,222 @@
+/**
+ * ServiceNow tables the adapter can read and write, and how each table's
+ * records map to the documents the adapter returns.
+ *
+ * @summary ServiceNow Table Definitions
+ * @description Each definition names the document title used in schemas and
+ *   error messages, the properties holding the record's key and, if it has
+ *   one, its number, the
+ *   error code prefix for documents that fail validation, the $id of the
+ *   json-schema document published for it, if any, and the fields
+ *   passed to FieldMapping: each property, its ServiceNow column, and its
+ *   JSON schema.
+ */
+
+/**
+ * @function field
+ * @description Builds a field definition.
+ *
+ * @param {string} property - The document property.
+ * @param {string} column - The ServiceNow column.
+ * @param {object} schema - The property's JSON schema.
+ *
+ * @return {object} The field definition.
+ */
+function field(property, column, schema) {
+  return { property, column, schema };
+}
+
+/**
+ * @function taskFields
+ * @description Builds the fields shared by the task-based tables:
+ *   change_task, incident, and problem.
+ *
+ * @param {string} prefix - Prefix of the record number property.
+ *
+ * @return {object[]} The field definitions.
+ */
+function taskFields(prefix) {
+  return [
+    field(`${prefix}_number`, 'number', { type: 'string', description: 'The record number.' }),
+    field('short_description', 'short_description', { type: 'string', description: 'A one-line summary.' }),
+    field('description', 'description', { type: 'string' }),
+    field('state', 'state', { type: 'string', description: 'The ServiceNow state value.' }),
+    field('priority', 'priority', {
+      type: 'integer',
+      minimum: 1,
+      maximum: 5,
+      description: 'The priority, from 1 (critical) to 5 (planning).',
+    }),
+    field('active', 'active', { type: 'boolean', description: 'When true, the record is still active.' }),
+    field('assigned_to', 'assigned_to', { type: 'string', description: 'The sys_id of the assigned user.' }),
+    field('assignment_group', 'assignment_group', { type: 'string', description: 'The sys_id of the assigned group.' }),
+  ];
+}
+
+/**
+ * Table definitions, keyed by ServiceNow table name.
+ */
+const TABLES = {
+  change_request: {
+    title: 'changeTicket',
+    schemaId: 'changeRequest',
+    keyProperty: 'change_ticket_key',
+    numberProperty: 'change_ticket_number',
+    errorCode: 'INVALID_CHANGE_TICKET',
+    fields: [
+      {
+        property: 'change_ticket_number',
+        column: 'number',
+        schema: {
+          type: 'string',
+          description: 'The unique change ticket number.',
+        },
+      },
+      {
+        property: 'active',
+        column: 'active',
+        schema: {
+          type: 'boolean',
+          description: 'When true, the ticket is still active.',
+          default: true,
+          examples: [true, false],
+        },
+      },
+      {
+        property: 'priority',
+        column: 'priority',
+        schema: {
+          type: 'integer',
+          minimum: 0,
+          maximum: 5,
+          description: 'The ticket\'s priority. A larger number has a greater priority.',
+          default: 4,
+          examples: [4],
+        },
+      },
+      {
+        property: 'description',
+        column: 'description',
+        schema: {
+          type: 'string',
+        },
+      },
+      {
+        property: 'work_start',
+        column: 'work_start',
+        schema: {
+          type: 'string',
+          description: 'The date and time when work begins on the ticket in format: YYYY-MM-DD HH:MM TZ.',
+        },
+      },
+      {
+        property: 'work_end',
+        column: 'work_end',
+        schema: {
+          type: 'string',
+          description: 'The date and time when work on the ticket completed in format: YYYY-MM-DD HH:MM TZ.',
+        },
+      },
+      {
+        property: 'state',
+        column: 'state',
+        schema: {
+          type: 'string',
+          description: 'The ServiceNow state value: -5 New, -4 Assess, -3 Authorize, -2 Scheduled, -1 Implement, 0 Review, 3 Closed, 4 Canceled.',
+          examples: ['-5'],
+        },
+      },
+      {
+        property: 'type',
+        column: 'type',
+        schema: {
+          type: 'string',
+          description: 'The change type: normal, standard, or emergency.',
+          default: 'normal',
+          examples: ['normal', 'standard', 'emergency'],
+        },
+      },
+      {
+        property: 'configuration_item',
+        column: 'cmdb_ci',
+        schema: {
+          type: 'string',
+          description: 'The sys_id of the configuration item the change affects.',
+        },
+      },
+      {
+        property: 'change_ticket_key',
+        column: 'sys_id',
+        schema: {
+          type: 'string',
+          description: 'The ticket record\'s key.',
+        },
+      },
+    ],
+  },
+  change_task: {
+    title: 'changeTask',
+    schemaId: 'changeTask',
+    keyProperty: 'change_task_key',
+    numberProperty: 'change_task_number',
+    errorCode: 'INVALID_CHANGE_TASK',
+    fields: [
+      ...taskFields('change_task'),
+      field('change_request_key', 'change_request', {
+        type: 'string',
+        description: 'The key (sys_id) of the change request the task belongs to.',
+      }),
+      field('planned_start_date', 'planned_start_date', { type: 'string', description: 'When work is planned to start.' }),
+      field('planned_end_date', 'planned_end_date', { type: 'string', description: 'When work is planned to end.' }),
+      field('change_task_key', 'sys_id', { type: 'string', description: 'The task record\'s key.' }),
+    ],
+  },
+  incident: {
+    title: 'incident',
+    keyProperty: 'incident_key',
+    numberProperty: 'incident_number',
+    errorCode: 'INVALID_INCIDENT',
+    fields: [
+      ...taskFields('incident'),
+      field('impact', 'impact', { type: 'integer', minimum: 1, maximum: 3, description: 'The impact, from 1 (high) to 3 (low).' }),
+      field('urgency', 'urgency', { type: 'integer', minimum: 1, maximum: 3, description: 'The urgency, from 1 (high) to 3 (low).' }),
+      field('category', 'category', { type: 'string' }),
+      field('caller', 'caller_id', { type: 'string', description: 'The sys_id of the user who reported the incident.' }),
+      field('opened_at', 'opened_at', { type: 'string' }),
+      field('resolved_at', 'resolved_at', { type: 'string' }),
+      field('incident_key', 'sys_id', { type: 'string', description: 'The incident record\'s key.' }),
+    ],
+  },
+  problem: {
+    title: 'problem',
+    keyProperty: 'problem_key',
+    numberProperty: 'problem_number',
+    errorCode: 'INVALID_PROBLEM',
+    fields: [
+      ...taskFields('problem'),
+      field('impact', 'impact', { type: 'integer', minimum: 1, maximum: 3, description: 'The impact, from 1 (high) to 3 (low).' }),
+      field('urgency', 'urgency', { type: 'integer', minimum: 1, maximum: 3, description: 'The urgency, from 1 (high) to 3 (low).' }),
+      field('known_error', 'known_error', { type: 'boolean', description: 'When true, the problem is a known error.' }),
+      field('problem_key', 'sys_id', { type: 'string', description: 'The problem record\'s key.' }),
+    ],
+  },
+  sysapproval_approver: {
+    title: 'approval',
+    keyProperty: 'approval_key',
+    errorCode: 'INVALID_APPROVAL',
+    fields: [
+      field('change_ticket_key', 'sysapproval', { type: 'string', description: 'The key of the change the approval is for.' }),
+      field('approver', 'approver', { type: 'string', description: 'The sys_id of the approving user.' }),
+      field('state', 'state', {
+        type: 'string',
+        description: 'The approval state: not requested, requested, approved, rejected, cancelled, or not_required.',
+        examples: ['requested'],
+      }),
+      field('created_on', 'sys_created_on', { type: 'string' }),
+      field('updated_on', 'sys_updated_on', { type: 'string' }),
+      field('approval_key', 'sys_id', { type: 'string', description: 'The approval record\'s key.' }),
+    ],
+  },
+};
+
+module.exports = TABLES;
@@ -0,0 +1,722 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+
+const ServiceNowAdapter = require(path.join(__dirname, '../main.js'));
+const ServiceNowSimulator = require(path.join(__dirname, 'serviceNowSimulator.js'));
+
+describe('ServiceNowAdapter', () => {
+  const simulator = new ServiceNowSimulator();
+  const adapters = [];
+
+  const createAdapter = (properties = {}) => {
+    const adapter = new ServiceNowAdapter('serviceNow', {
+      url: simulator.url,
+      auth: { username: simulator.username, password: simulator.password },
+      serviceNowTable: 'change_request',
+      retry: { baseDelay: 1, jitter: 0 },
+      healthcheck: { type: 'startup' },
+      ...properties,
+    });
+    adapters.push(adapter);
+    return adapter;
+  };
+
+  before(() => simulator.start());
+  after(() => {
+    adapters.forEach((adapter) => {
+      adapter.disconnect();
+      adapter.connector.transport.destroy();
+    });
+    return simulator.stop();
+  });
+  beforeEach(() => simulator.reset());
+
+  describe('getRecord', () => {
+    it('normalizes records to changeTickets', async () => {
+      const record = simulator.insert('change_request', { description: 'Patch routers', priority: '2' });
+      const tickets = await createAdapter().getRecord();
+      assert.deepStrictEqual(tickets, [{
+        change_ticket_number: record.number,
+        active: true,
+        priority: 2,
+        description: 'Patch routers',
+        work_start: '',
+        work_end: '',
+        state: '-5',
+        type: 'normal',
+        configuration_item: '',
+        change_ticket_key: record.sys_id,
+      }]);
+    });
+
+    it('passes query options to ServiceNow', async () => {
+      ['3', '1', '2'].forEach(priority => simulator.insert('change_request', { priority }));
+      const tickets = await createAdapter().getRecord({ orderBy: 'priority', orderDirection: 'desc', limit: 2 });
+      assert.deepStrictEqual(tickets.map(ticket => ticket.priority), [3, 2]);
+    });
+
+    it('returns an error when a successful response is not JSON', async () => {
+      const adapter = createAdapter();
+      const { transport } = adapter.connector;
+      adapter.connector.transport = {
+        request: (requestOptions, callback) => setImmediate(() => {
+          const body = '<html><body>Sign in with your company account</body></html>';
+          callback(null, { statusCode: 200, headers: { 'content-type': 'text/html' }, body }, body);
+        }),
+      };
+      try {
+        await assert.rejects(adapter.getRecord(), error => error.code === 'INVALID_RESPONSE');
+        await assert.rejects(adapter.getAttachments('a'.repeat(32)), error => error.code === 'INVALID_RESPONSE');
+      } finally {
+        adapter.connector.transport = transport;
+      }
+    });
+
+    it('also works with a callback', (done) => {
+      createAdapter().getRecord((tickets, error) => {
+        assert.strictEqual(error, null);
+        assert.deepStrictEqual(tickets, []);
+        done();
+      });
+    });
+  });
+
+  describe('postRecord', () => {
+    it('creates a record from changeTicket fields', async () => {
+      const ticket = await createAdapter().postRecord({ description: 'Replace firewall', priority: 1 });
+      assert.strictEqual(ticket.description, 'Replace firewall');
+      assert.strictEqual(ticket.priority, 1);
+      assert.strictEqual(simulator.table('change_request').length, 1);
+    });
+
+    it('rejects invalid fields without calling ServiceNow', async () => {
+      await assert.rejects(createAdapter().postRecord({ priority: 'high', owner: 'me' }), (error) => {
+        assert.strictEqual(error.code, 'INVALID_CHANGE_TICKET');
+        assert.deepStrictEqual(error.errors.map(detail => detail.field).sort(), ['owner', 'priority']);
+        return true;
+      });
+      assert.strictEqual(simulator.requests.length, 0);
+    });
+
+    it('writes and reads custom fields from the field mapping', async () => {
+      const adapter = createAdapter({
+        fieldMapping: {
+          extraFields: { risk_score: { column: 'u_risk_score', type: 'integer' } },
+          defaults: { risk_score: 5 },
+        },
+      });
+      const ticket = await adapter.postRecord({ description: 'Migrate DNS' });
+      assert.strictEqual(simulator.table('change_request')[0].u_risk_score, '5');
+      assert.strictEqual(ticket.risk_score, 5);
+      await assert.rejects(adapter.postRecord({ risk_score: 'high' }), error => error.errors[0].field === 'risk_score');
+    });
+  });
+
+  describe('invalid tickets', () => {
+    const insertInvalid = () => {
+      simulator.insert('change_request', { priority: '3' });
+      return simulator.insert('change_request', { priority: 'urgent' });
+    };
+
+    it('flags tickets that do not match the schema by default', async () => {
+      insertInvalid();
+      const tickets = await createAdapter().getRecord();
+      assert.strictEqual(tickets[0].validation_errors, undefined);
+      assert.deepStrictEqual(tickets[1].validation_errors, [{ field: 'priority', message: 'must be integer' }]);
+    });
+
+    it('drops them when configured to', async () => {
+      insertInvalid();
+      const tickets = await createAdapter({ invalidTickets: 'drop' }).getRecord();
+      assert.deepStrictEqual(tickets.map(ticket => ticket.priority), [3]);
+    });
+
+    it('rejects the call when configured to', async () => {
+      const invalid = insertInvalid();
+      await assert.rejects(createAdapter({ invalidTickets: 'reject' }).getRecord(), (error) => {
+        assert.strictEqual(error.code, 'INVALID_CHANGE_TICKET_OUTPUT');
+        assert.deepStrictEqual(error.errors, [{ ticket: invalid.number, field: 'priority', message: 'must be integer' }]);
+        return true;
+      });
+    });
+
+    it('allows missing properties when fields are selected', async () => {
+      simulator.insert('change_request');
+      const tickets = await createAdapter({ invalidTickets: 'reject' }).getRecord({ fields: ['number', 'priority'] });
+      assert.strictEqual(tickets[0].priority, 4);
+    });
+
+    it('rejects an unknown setting', () => {
+      assert.throws(() => createAdapter({ invalidTickets: 'ignore' }), /Unknown invalidTickets setting/);
+    });
+  });
+
+  describe('updateRecord', () => {
+    it('patches the passed fields', async () => {
+      const record = simulator.insert('change_request');
+      const ticket = await createAdapter().updateRecord(record.sys_id, { description: 'Rescheduled' });
+      assert.strictEqual(ticket.description, 'Rescheduled');
+    });
+
+    it('refuses to change state', async () => {
+      const record = simulator.insert('change_request');
+      await assert.rejects(
+        createAdapter().updateRecord(record.sys_id, { state: '-1' }),
+        error => error.code === 'INVALID_CHANGE_TICKET' && error.errors[0].field === 'state',
+      );
+    });
+  });
+
+  describe('transitionRecord', () => {
+    it('moves a change along its model', async () => {
+      const record = simulator.insert('change_request');
+      const ticket = await createAdapter().transitionRecord(record.sys_id, 'Assess');
+      assert.strictEqual(ticket.state, '-4');
+    });
+
+    it('refuses an illegal transition without patching', async () => {
+      const record = simulator.insert('change_request');
+      await assert.rejects(createAdapter().transitionRecord(record.sys_id, 'Implement'), (error) => {
+        assert.strictEqual(error.code, 'ILLEGAL_TRANSITION');
+        assert.deepStrictEqual(error.allowed, ['Assess', 'Canceled']);
+        return true;
+      });
+      assert.ok(simulator.requests.every(request => request.method === 'GET'));
+    });
+
+    it('reports a missing change', async () => {
+      await assert.rejects(
+        createAdapter().transitionRecord('0'.repeat(32), 'Assess'),
+        error => error.code === 'CHANGE_NOT_FOUND',
+      );
+    });
+  });
+
+  describe('closeRecord', () => {
+    it('closes a change under review', async () => {
+      const record = simulator.insert('change_request', { state: '0' });
+      const ticket = await createAdapter().closeRecord(record.sys_id, 'successful', 'Done');
+      assert.strictEqual(ticket.state, '3');
+      assert.strictEqual(simulator.table('change_request')[0].close_notes, 'Done');
+    });
+
+    it('validates the close code and notes', async () => {
+      await assert.rejects(
+        createAdapter().closeRecord('0'.repeat(32), 'finished', ''),
+        error => error.code === 'INVALID_CLOSE_REQUEST' && error.errors.length === 2,
+      );
+    });
+  });
+
+  describe('checkConflicts', () => {
+    const ci = 'a'.repeat(32);
+    const freezeWindows = [
+      { name: 'Year-end freeze', start: '2024-12-20 00:00', end: '2025-01-03 00:00' },
+      { name: 'Core freeze', start: '2024-05-01 00:00', end: '2024-05-02 00:00', configurationItems: ['b'.repeat(32)] },
+    ];
+    const schedule = (start, end, fields = {}) => simulator.insert('change_request', {
+      work_start: start,
+      work_end: end,
+      cmdb_ci: ci,
+      ...fields,
+    });
+
+    it('finds active changes overlapping on the same configuration item', async () => {
+      const overlapping = schedule('2024-05-01 03:00:00', '2024-05-01 05:00:00');
+      schedule('2024-05-01 04:00:00', '2024-05-01 06:00:00', { cmdb_ci: 'c'.repeat(32) });
+      schedule('2024-05-01 04:00:00', '2024-05-01 06:00:00', { active: 'false' });
+      schedule('2024-05-01 00:00:00', '2024-05-01 02:00:00');
+      const report = await createAdapter({ freezeWindows }).checkConflicts({
+        work_start: '2024-05-01 02:00',
+        work_end: '2024-05-01 04:00',
+        configuration_item: ci,
+      });
+      assert.strictEqual(report.has_conflicts, true);
+      assert.deepStrictEqual(report.conflicts.map(conflict => [conflict.type, conflict.change_ticket_key]), [
+        ['CHANGE_OVERLAP', overlapping.sys_id],
+      ]);
+    });
+
+    it('reads an existing change and reports freeze windows', async () => {
+      const change = schedule('2024-12-31 22:00:00', '2025-01-01 01:00:00');
+      const report = await createAdapter({ freezeWindows }).checkConflicts({ change_ticket_key: change.sys_id });
+      assert.deepStrictEqual(report.conflicts.map(conflict => [conflict.type, conflict.freeze_window]), [
+        ['FREEZE_WINDOW', 'Year-end freeze'],
+      ]);
+    });
+
+    it('validates the work window and freeze windows', async () => {
+      await assert.rejects(
+        createAdapter().checkConflicts({ work_start: '2024-05-01 04:00', work_end: '2024-05-01 02:00' }),
+        error => error.code === 'INVALID_SCHEDULE' && error.errors[0].field === 'work_end',
+      );
+      await assert.rejects(
+        createAdapter().checkConflicts({ work_start: '2024-05-01 02:00', work_end: '2024-05-01 04:00', configuration_item: 'router^ORactive=true' }),
+        error => error.code === 'INVALID_KEY' && error.errors[0].field === 'configuration_item',
+      );
+      assert.throws(() => createAdapter({ freezeWindows: [{ name: 'Bad', start: 'tomorrow', end: '2024-05-01 00:00' }] }), /Freeze window Bad/);
+    });
+  });
+
+  describe('cache', () => {
+    it('caches reads, drops them on writes, and clears them on request', async () => {
+      const adapter = createAdapter({ cache: { enabled: true } });
+      const record = simulator.insert('change_request');
+      await adapter.getRecord();
+      await adapter.getRecord();
+      assert.strictEqual(simulator.requests.length, 1);
+
+      await adapter.addWorkNote(record.sys_id, 'Pre-checks passed');
+      const journal = await adapter.getJournal(record.sys_id);
+      assert.strictEqual(journal.length, 1);
+      await adapter.getRecord();
+      assert.deepStrictEqual(await adapter.clearCache(), { cleared: 2, enabled: true });
+      assert.deepStrictEqual(await adapter.clearCache('incident'), { cleared: 0, enabled: true });
+    });
+
+    it('checks transitions against the current state, not a cached one', async () => {
+      const adapter = createAdapter({ cache: { enabled: true } });
+      const record = simulator.insert('change_request');
+      await adapter.getRecord();
+      await assert.rejects(adapter.transitionRecord(record.sys_id, 'Implement'), error => error.code === 'ILLEGAL_TRANSITION');
+      record.state = '4';
+      await assert.rejects(adapter.transitionRecord(record.sys_id, 'Assess'), error => error.code === 'ILLEGAL_TRANSITION');
+      assert.strictEqual(record.state, '4');
+    });
+  });
+
+  describe('change management API', () => {
+    it('creates normal and emergency changes as changeTickets', async () => {
+      const adapter = createAdapter({ fieldMapping: { defaults: { priority: 3 } } });
+      const normal = await adapter.createNormalChange({ description: 'Upgrade firmware' });
+      const emergency = await adapter.createEmergencyChange({ description: 'Fix outage', type: 'emergency' });
+      assert.deepStrictEqual([normal.type, normal.priority, normal.description], ['normal', 3, 'Upgrade firmware']);
+      assert.strictEqual(emergency.type, 'emergency');
+      assert.strictEqual(emergency.change_ticket_key, simulator.table('change_request')[1].sys_id);
+      assert.ok(!('validation_errors' in emergency));
+      await assert.rejects(
+        adapter.createNormalChange({ type: 'emergency' }),
+        error => error.code === 'INVALID_CHANGE_TICKET' && error.errors[0].field === 'type',
+      );
+    });
+
+    it('lists standard change templates and creates a change from one', async () => {
+      const template = simulator.insert('std_change_record_producer', {
+        name: 'Reboot server',
+        short_description: 'Reboot a server',
+        category: 'Server',
+        active: 'true',
+      });
+      const adapter = createAdapter({ fieldMapping: { defaults: { priority: 3 } } });
+      assert.deepStrictEqual(await adapter.getStandardChangeTemplates({ filter: 'active=true' }), [{
+        template_key: template.sys_id,
+        name: 'Reboot server',
+        description: 'Reboot a server',
+        category: 'Server',
+        active: true,
+      }]);
+      const change = await adapter.createStandardChange(template.sys_id, { work_start: '2024-05-01 02:00:00' });
+      assert.deepStrictEqual([change.type, change.description, change.priority], ['standard', 'Reboot a server', 4]);
+      await assert.rejects(adapter.createStandardChange('reboot'), error => error.code === 'INVALID_KEY');
+    });
+
+    it('runs the conflict check and waits for its results', async () => {
+      const ci = 'a'.repeat(32);
+      const change = simulator.insert('change_request', { cmdb_ci: ci, work_start: '2024-05-01 02:00:00', work_end: '2024-05-01 04:00:00' });
+      const other = simulator.insert('change_request', { cmdb_ci: ci, work_start: '2024-05-01 03:00:00', work_end: '2024-05-01 05:00:00' });
+      simulator.conflictCheckPolls = 1;
+      const report = await createAdapter({ conflictCheck: { pollInterval: 1 } }).calculateConflicts(change.sys_id);
+      assert.strictEqual(report.has_conflicts, true);
+      assert.deepStrictEqual(report.conflicts.map(conflict => [conflict.change_ticket_key, conflict.change_ticket_number]), [
+        [other.sys_id, other.number],
+      ]);
+      assert.strictEqual(simulator.requests.filter(request => request.method === 'GET').length, 2);
+    });
+
+    it('times out a conflict check that does not finish', async () => {
+      const change = simulator.insert('change_request');
+      simulator.conflictCheckPolls = 100;
+      await assert.rejects(
+        createAdapter({ conflictCheck: { pollInterval: 1, timeout: 20 } }).calculateConflicts(change.sys_id),
+        error => error.code === 'CONFLICT_CHECK_TIMEOUT',
+      );
+    });
+
+    it('calculates risk and impact', async () => {
+      const change = simulator.insert('change_request', { priority: '1' });
+      const result = await createAdapter().calculateRisk(change.sys_id);
+      assert.deepStrictEqual(
+        [result.risk, result.risk_label, result.impact, result.impact_label],
+        ['2', 'High', '1', '1 - High'],
+      );
+      assert.strictEqual(result.ticket.change_ticket_key, change.sys_id);
+      assert.strictEqual(result.ticket.priority, 1);
+    });
+  });
+
+  describe('deleteRecord', () => {
+    it('deletes a change', async () => {
+      const record = simulator.insert('change_request');
+      const result = await createAdapter().deleteRecord(record.sys_id);
+      assert.deepStrictEqual(result, { change_ticket_key: record.sys_id, deleted: true });
+      assert.strictEqual(simulator.table('change_request').length, 0);
+    });
+  });
+
+  describe('getAllRecords', () => {
+    it('streams every record page by page', async () => {
+      for (let i = 0; i < 7; i += 1) {
+        simulator.insert('change_request');
+      }
+      const adapter = createAdapter({ pagination: { pageSize: 3 } });
+      const tickets = [];
+      for await (const ticket of adapter.getAllRecords()) {
+        tickets.push(ticket);
+      }
+      assert.strictEqual(tickets.length, 7);
+      assert.strictEqual(simulator.requests.length, 3);
+    });
+
+    it('destroys the stream on an error', async () => {
+      simulator.failNext(401);
+      const adapter = createAdapter();
+      const tickets = [];
+      await assert.rejects(async () => {
+        for await (const ticket of adapter.getAllRecords()) {
+          tickets.push(ticket);
+        }
+      }, error => error.response.statusCode === 401);
+      assert.deepStrictEqual(tickets, []);
+    });
+  });
+
+  describe('table methods', () => {
+    const tableAdapter = () => createAdapter({ allowedTables: ['incident', 'change_task'] });
+
+    it('reads and normalizes records of an allowed table', async () => {
+      const incident = simulator.insert('incident', { short_description: 'Email is down', impact: '1' });
+      const incidents = await tableAdapter().getTableRecord('incident');
+      assert.strictEqual(incidents.length, 1);
+      assert.strictEqual(incidents[0].incident_number, incident.number);
+      assert.strictEqual(incidents[0].incident_key, incident.sys_id);
+      assert.strictEqual(incidents[0].impact, 1);
+      assert.strictEqual(simulator.requests[0].url.split('?')[0], '/api/now/table/incident');
+    });
+
+    it('unwraps reference fields', async () => {
+      simulator.insert('change_task', { change_request: 'ignored' });
+      simulator.table('change_task')[0].change_request = { link: 'https://example/api', value: 'abc' };
+      const [task] = await tableAdapter().getTableRecord('change_task');
+      assert.strictEqual(task.change_request_key, 'abc');
+    });
+
+    it('creates, updates, and deletes records', async () => {
+      const adapter = tableAdapter();
+      const created = await adapter.postTableRecord('incident', { short_description: 'VPN slow', urgency: 2 });
+      assert.strictEqual(created.urgency, 2);
+      const updated = await adapter.updateTableRecord('incident', created.incident_key, { state: '6' });
+      assert.strictEqual(updated.state, '6');
+      const result = await adapter.deleteTableRecord('incident', created.incident_key);
+      assert.deepStrictEqual(result, { incident_key: created.incident_key, deleted: true });
+    });
+
+    it('validates fields against the table schema', async () => {
+      await assert.rejects(
+        tableAdapter().postTableRecord('incident', { impact: 9 }),
+        error => error.code === 'INVALID_INCIDENT' && error.errors[0].field === 'impact',
+      );
+      await assert.rejects(
+        tableAdapter().updateTableRecord('change_request', '0'.repeat(32), { state: '3' }),
+        error => error.code === 'INVALID_CHANGE_TICKET' && error.errors[0].field === 'state',
+      );
+      await assert.rejects(
+        tableAdapter().updateTableRecord('incident', 'a/b', { urgency: 1 }),
+        error => error.code === 'INVALID_KEY' && error.errors[0].field === 'key',
+      );
+      await assert.rejects(
+        tableAdapter().deleteTableRecord('incident', 'a?b'),
+        error => error.code === 'INVALID_KEY',
+      );
+      assert.strictEqual(simulator.requests.length, 0);
+    });
+
+    it('refuses tables missing from allowedTables', async () => {
+      await assert.rejects(tableAdapter().getTableRecord('sys_user'), error => error.code === 'TABLE_NOT_ALLOWED');
+      await assert.rejects(tableAdapter().deleteTableRecord('problem', '0'.repeat(32)), error => error.code === 'TABLE_NOT_ALLOWED');
+      assert.strictEqual(simulator.requests.length, 0);
+    });
+
+    it('refuses allowed tables without a definition', () => {
+      assert.throws(() => createAdapter({ allowedTables: ['sys_user'] }), /Table sys_user has no definition/);
+    });
+  });
+
+  describe('change tasks', () => {
+    it('creates and lists the tasks of a change', async () => {
+      const adapter = createAdapter();
+      const change = simulator.insert('change_request');
+      const other = simulator.insert('change_request');
+      simulator.insert('change_task', { change_request: other.sys_id });
+      const task = await adapter.createChangeTask(change.sys_id, { short_description: 'Drain traffic', priority: 2 });
+      assert.strictEqual(task.change_request_key, change.sys_id);
+      assert.strictEqual(task.priority, 2);
+      assert.ok(task.change_task_number.startsWith('CTASK'));
+      const tasks = await adapter.getChangeTasks(change.sys_id);
+      assert.deepStrictEqual(tasks.map(listed => listed.change_task_key), [task.change_task_key]);
+      const ored = await adapter.getChangeTasks(change.sys_id, { filter: 'ORactive=true' });
+      assert.deepStrictEqual(ored.map(listed => listed.change_task_key), [task.change_task_key]);
+    });
+
+    it('refuses a missing change or a filter that escapes it', async () => {
+      const adapter = createAdapter();
+      await assert.rejects(adapter.createChangeTask('0'.repeat(32), {}), error => error.code === 'CHANGE_NOT_FOUND');
+      await assert.rejects(adapter.getChangeTasks('not-a-key'), error => error.code === 'INVALID_KEY');
+      await assert.rejects(
+        adapter.getChangeTasks('0'.repeat(32), { filter: 'active=true^NQactive=false' }),
+        error => error.code === 'INVALID_FILTER',
+      );
+      await assert.rejects(
+        adapter.getChangeTasks('0'.repeat(32), { filter: { active: true } }),
+        error => error.code === 'INVALID_FILTER' && error.errors[0].message === 'must be a string',
+      );
+      assert.strictEqual(simulator.table('change_task').length, 0);
+    });
+
+    it('updates only tasks of the change', async () => {
+      const adapter = createAdapter();
+      const change = simulator.insert('change_request');
+      const task = simulator.insert('change_task', { change_request: change.sys_id });
+      const updated = await adapter.updateChangeTask(change.sys_id, task.sys_id, { state: '2' });
+      assert.strictEqual(updated.state, '2');
+      await assert.rejects(
+        adapter.updateChangeTask('0'.repeat(32), task.sys_id, { state: '1' }),
+        error => error.code === 'TASK_NOT_FOUND',
+      );
+      await assert.rejects(
+        adapter.updateChangeTask(change.sys_id, task.sys_id, { change_request_key: '0'.repeat(32) }),
+        error => error.code === 'INVALID_CHANGE_TASK' && error.errors[0].field === 'change_request_key',
+      );
+    });
+
+    it('closes a task once', async () => {
+      const adapter = createAdapter();
+      const change = simulator.insert('change_request');
+      const task = simulator.insert('change_task', { change_request: change.sys_id });
+      const closed = await adapter.closeChangeTask(change.sys_id, task.sys_id, 'successful', 'Traffic drained');
+      assert.strictEqual(closed.state, '3');
+      assert.strictEqual(simulator.table('change_task')[0].close_code, 'successful');
+      await assert.rejects(
+        adapter.closeChangeTask(change.sys_id, task.sys_id, 'successful', 'Again'),
+        error => error.code === 'TASK_ALREADY_CLOSED',
+      );
+    });
+  });
+
+  describe('journal', () => {
+    it('adds work notes and comments and reads them back in order', async () => {
+      const adapter = createAdapter();
+      const change = simulator.insert('change_request');
+      const other = simulator.insert('change_request');
+      await adapter.addWorkNote(change.sys_id, 'Pre-checks passed on router1');
+      await adapter.addComment(change.sys_id, 'Maintenance starts at 02:00');
+      await adapter.addWorkNote(other.sys_id, 'Unrelated');
+
+      const journal = await adapter.getJournal(change.sys_id);
+      assert.deepStrictEqual(journal.map(entry => [entry.type, entry.text]), [
+        ['work_note', 'Pre-checks passed on router1'],
+        ['comment', 'Maintenance starts at 02:00'],
+      ]);
+      assert.strictEqual(journal[0].author, simulator.username);
+      assert.ok(journal[0].created_on);
+    });
+
+    it('refuses an empty entry', async () => {
+      await assert.rejects(
+        createAdapter().addWorkNote('0'.repeat(32), '  '),
+        error => error.code === 'INVALID_JOURNAL_ENTRY',
+      );
+      assert.strictEqual(simulator.requests.length, 0);
+    });
+  });
+
+  describe('approvals', () => {
+    const requestApprovals = (change, states = ['requested']) => {
+      const approver = simulator.insert('sys_user', { user_name: simulator.username });
+      return states.map((state, index) => simulator.insert('sysapproval_approver', {
+        sysapproval: change.sys_id,
+        approver: index === 0 ? approver.sys_id : `other${index}`,
+        state,
+      }));
+    };
+
+    it('combines the approvals of a change into one status', async () => {
+      const change = simulator.insert('change_request');
+      requestApprovals(change, ['approved', 'requested']);
+      const adapter = createAdapter();
+      const report = await adapter.getApprovalStatus(change.sys_id);
+      assert.strictEqual(report.status, 'requested');
+      assert.deepStrictEqual(report.counts, { approved: 1, requested: 1 });
+      simulator.table('sysapproval_approver')[1].state = 'rejected';
+      assert.strictEqual((await adapter.getApprovalStatus(change.sys_id)).status, 'rejected');
+      assert.strictEqual((await adapter.getApprovalStatus(simulator.insert('change_request').sys_id)).status, 'not requested');
+    });
+
+    it('keeps a change pending while any approval is undecided', async () => {
+      const adapter = createAdapter();
+      const later = simulator.insert('change_request');
+      requestApprovals(later, ['approved', 'not requested']);
+      assert.strictEqual((await adapter.getApprovalStatus(later.sys_id)).status, 'requested');
+      const questioned = simulator.insert('change_request');
+      requestApprovals(questioned, ['approved', 'more_info_required', 'cancelled']);
+      assert.strictEqual((await adapter.getApprovalStatus(questioned.sys_id)).status, 'requested');
+      const settled = simulator.insert('change_request');
+      requestApprovals(settled, ['approved', 'not_required', 'cancelled']);
+      assert.strictEqual((await adapter.getApprovalStatus(settled.sys_id)).status, 'approved');
+    });
+
+    it('approves and rejects on behalf of the configured user', async () => {
+      const change = simulator.insert('change_request');
+      const [approval] = requestApprovals(change);
+      const adapter = createAdapter();
+      const approved = await adapter.approveChange(change.sys_id, 'CAB approved');
+      assert.strictEqual(approved.approval_key, approval.sys_id);
+      assert.strictEqual(approved.state, 'approved');
+      await assert.rejects(adapter.rejectChange(change.sys_id, 'Too risky'), error => error.code === 'APPROVAL_NOT_FOUND');
+      await assert.rejects(adapter.rejectChange(change.sys_id, ''), error => error.code === 'INVALID_APPROVAL');
+    });
+
+    it('waits until the change is decided or the timeout expires', async () => {
+      const change = simulator.insert('change_request');
+      const [approval] = requestApprovals(change);
+      const adapter = createAdapter({ approvals: { pollInterval: 5 } });
+      await assert.rejects(
+        adapter.waitForApproval(change.sys_id, 12),
+        error => error.code === 'APPROVAL_TIMEOUT' && error.status === 'requested',
+      );
+      setTimeout(() => {
+        approval.state = 'approved';
+      }, 10);
+      const report = await adapter.waitForApproval(change.sys_id, 1000);
+      assert.strictEqual(report.status, 'approved');
+    });
+  });
+
+  describe('attachments', () => {
+    it('attaches, lists, downloads, and deletes files', async () => {
+      const adapter = createAdapter();
+      const change = simulator.insert('change_request');
+      const attachment = await adapter.addAttachment(change.sys_id, 'precheck.txt', 'BGP established');
+      assert.strictEqual(attachment.content_type, 'text/plain');
+      assert.strictEqual(attachment.size_bytes, 15);
+      assert.strictEqual(attachment.record_key, change.sys_id);
+
+      const attachments = await adapter.getAttachments(change.sys_id);
+      assert.deepStrictEqual(attachments.map(listed => listed.file_name), ['precheck.txt']);
+      const downloaded = await adapter.getAttachmentContent(attachment.attachment_key, 'utf8');
+      assert.strictEqual(downloaded.content, 'BGP established');
+      assert.strictEqual(downloaded.file_name, 'precheck.txt');
+
+      const result = await adapter.deleteAttachment(attachment.attachment_key);
+      assert.deepStrictEqual(result, { attachment_key: attachment.attachment_key, deleted: true });
+      assert.deepStrictEqual(await adapter.getAttachments(change.sys_id), []);
+    });
+
+    it('decodes base64 content and validates the upload', async () => {
+      const adapter = createAdapter();
+      const change = simulator.insert('change_request');
+      await adapter.addAttachment(change.sys_id, 'capture', Buffer.from([0x89, 0x50, 0x4e, 0x47]).toString('base64'), { encoding: 'base64' });
+      assert.strictEqual(simulator.table('sys_attachment')[0].content_type, 'image/png');
+      await assert.rejects(
+        adapter.addAttachment(change.sys_id, '', 'text', { encoding: 'hex' }),
+        error => error.code === 'INVALID_ATTACHMENT' && error.errors.length === 2,
+      );
+      await assert.rejects(
+        adapter.addAttachment(change.sys_id, 'capture', 42),
+        error => error.errors[0].message === 'must be a string or Buffer',
+      );
+    });
+
+    it('refuses a malformed attachment key', async () => {
+      const adapter = createAdapter();
+      await assert.rejects(adapter.deleteAttachment('a/b'), error => error.code === 'INVALID_KEY');
+      assert.strictEqual(simulator.requests.length, 0);
+    });
+  });
+
+  describe('change events', () => {
+    it('watches on connect and re-emits the watcher\'s events', async () => {
+      const record = simulator.insert('change_request', { sys_updated_on: '2024-05-01 02:00:00' });
+      const adapter = createAdapter({ watch: { enabled: true, interval: 5, since: '2024-05-01 01:00:00' } });
+      const events = [];
+      const updated = new Promise(resolve => adapter.on('changeStateChanged', resolve));
+      adapter.on('changeCreated', event => events.push(event.change_ticket_key));
+      adapter.connect();
+      await new Promise(resolve => adapter.once('changeCreated', resolve));
+      Object.assign(record, { state: '-4', sys_updated_on: '2024-05-01 02:01:00' });
+      assert.strictEqual((await updated).new_state, '-4');
+      adapter.disconnect();
+      assert.deepStrictEqual(events, [record.sys_id]);
+      assert.strictEqual(adapter.watcher.running, false);
+    });
+
+    it('re-emits deliveries to the webhook endpoint', async () => {
+      const adapter = createAdapter({ webhook: { secret: 'shared-secret', host: '127.0.0.1', port: 0 } });
+      const url = await new Promise(resolve => adapter.startWebhook(resolve));
+      const created = new Promise(resolve => adapter.on('changeCreated', resolve));
+      const body = JSON.stringify({ operation: 'insert', record: { sys_id: 'a'.repeat(32) } });
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const signature = crypto.createHmac('sha256', 'shared-secret').update(`${timestamp}.${body}`).digest('hex');
+      const statusCode = await new Promise((resolve, reject) => {
+        const req = http.request(url, {
+          method: 'POST',
+          headers: { 'X-ServiceNow-Timestamp': timestamp, 'X-ServiceNow-Signature': signature },
+        }, (res) => {
+          res.resume();
+          res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('error', reject);
+        req.end(body);
+      });
+      assert.strictEqual(statusCode, 202);
+      assert.strictEqual((await created).source, 'webhook');
+      await new Promise(resolve => adapter.stopWebhook(resolve));
+      assert.strictEqual(adapter.webhook.url, null);
+    });
+
+    it('reports a webhook property without a secret instead of throwing', async () => {
+      const adapter = createAdapter({ webhook: { enabled: true, port: 0 } });
+      const error = await new Promise(resolve => adapter.startWebhook((url, startError) => resolve(startError)));
+      assert.match(error.message, /needs a secret/);
+      assert.doesNotThrow(() => adapter.connect());
+      adapter.disconnect();
+      assert.strictEqual(adapter.webhook, null);
+    });
+  });
+
+  describe('healthcheck', () => {
+    it('emits only when the status changes', async () => {
+      const adapter = createAdapter();
+      const events = [];
+      adapter.on('ONLINE', () => events.push('ONLINE'));
+      adapter.on('OFFLINE', () => events.push('OFFLINE'));
+      const check = () => new Promise(resolve => adapter.healthcheck(resolve));
+
+      await check();
+      await check();
+      simulator.hibernating = true;
+      await check();
+      await check();
+      assert.deepStrictEqual(events, ['ONLINE', 'OFFLINE']);
+      assert.strictEqual(adapter.getHealthStatus().consecutiveFailures, 2);
+    });
+
+    it('returns a health report on demand', async () => {
+      simulator.failNext(401);
+      const report = await createAdapter().getHealthReport();
+      assert.strictEqual(report.healthy, false);
+      assert.strictEqual(report.authenticated, false);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ChangeWatcher = require(path.join(__dirname, '../changeWatcher.js'));
+const ServiceNowConnector = require(path.join(__dirname, '../connector.js'));
+const FieldMapping = require(path.join(__dirname, '../fieldMapping.js'));
+const ServiceNowSimulator = require(path.join(__dirname, 'serviceNowSimulator.js'));
+
+describe('ChangeWatcher', () => {
+  const simulator = new ServiceNowSimulator();
+  const stateFile = path.join(os.tmpdir(), `change-watch-${process.pid}.json`);
+  let connector;
+
+  const createWatcher = (options = {}) => {
+    const watcher = new ChangeWatcher(connector, new FieldMapping(), { skew: 60000, ...options });
+    const events = [];
+    ChangeWatcher.WATCH_EVENTS.forEach(name => watcher.on(name, event => events.push({ name, ...event })));
+    return { watcher, events };
+  };
+
+  // Stores a record version as ServiceNow would, with an explicit update time.
+  const change = (fields, updatedOn, record = null) => {
+    if (!record) {
+      return simulator.insert('change_request', { sys_created_on: updatedOn, sys_updated_on: updatedOn, ...fields });
+    }
+    Object.assign(record, fields, { sys_updated_on: updatedOn });
+    return record;
+  };
+
+  before(async () => {
+    await simulator.start();
+    connector = new ServiceNowConnector({
+      url: simulator.url,
+      username: simulator.username,
+      password: simulator.password,
+      serviceNowTable: 'change_request',
+    });
+  });
+  after(() => {
+    connector.transport.destroy();
+    return simulator.stop();
+  });
+  beforeEach(() => simulator.reset());
+  afterEach(() => {
+    if (fs.existsSync(stateFile)) {
+      fs.unlinkSync(stateFile);
+    }
+  });
+
+  it('starts from the newest record and reports later changes', async () => {
+    const existing = change({ description: 'Old' }, '2024-05-01 01:00:00');
+    const { watcher, events } = createWatcher();
+    assert.deepStrictEqual(await watcher.poll(), { events: 0, watermark: '2024-05-01 01:00:00' });
+
+    const created = change({ description: 'New' }, '2024-05-01 02:00:00');
+    change({ state: '-4', description: 'Assess' }, '2024-05-01 02:00:30', existing);
+    await watcher.poll();
+    assert.deepStrictEqual(events.map(event => [event.name, event.change_ticket_key]), [
+      ['changeCreated', created.sys_id],
+      ['changeUpdated', existing.sys_id],
+      ['changeStateChanged', existing.sys_id],
+    ]);
+    assert.deepStrictEqual(events[1].changes, {
+      description: { old: 'Old', new: 'Assess' },
+      state: { old: '-5', new: '-4' },
+    });
+    assert.deepStrictEqual([events[2].old_state, events[2].new_state], ['-5', '-4']);
+    assert.strictEqual(events[2].ticket.description, 'Assess');
+    assert.strictEqual(watcher.watermark, '2024-05-01 02:00:30');
+  });
+
+  it('suppresses versions already seen and catches late updates inside the skew', async () => {
+    const first = change({}, '2024-05-01 02:00:00');
+    const { watcher, events } = createWatcher({ since: '2024-05-01 01:00:00' });
+    await watcher.poll();
+    await watcher.poll();
+    assert.deepStrictEqual(events.map(event => event.name), ['changeCreated']);
+
+    // Committed after the watermark moved past its update time.
+    const late = change({}, '2024-05-01 01:59:30');
+    change({ priority: '4', work_notes: '' }, '2024-05-01 02:00:10', first);
+    await watcher.poll();
+    assert.deepStrictEqual(events.slice(1).map(event => [event.name, event.change_ticket_key]), [
+      ['changeCreated', late.sys_id],
+    ]);
+  });
+
+  it('resumes from the state file after a restart', async () => {
+    const record = change({}, '2024-05-01 02:00:00');
+    await createWatcher({ stateFile }).watcher.poll();
+    change({ state: '3', active: 'false' }, '2024-05-01 02:05:00', record);
+
+    const { watcher, events } = createWatcher({ stateFile });
+    assert.strictEqual(watcher.watermark, '2024-05-01 02:00:00');
+    await watcher.poll();
+    assert.deepStrictEqual(events.map(event => [event.name, event.old_state, event.new_state]), [
+      ['changeUpdated', undefined, undefined],
+      ['changeStateChanged', '-5', '3'],
+    ]);
+    assert.strictEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')).watermark, '2024-05-01 02:05:00');
+  });
+
+  it('forgets old versions and versions beyond maxTracked, and saves only changes', async () => {
+    const old = change({}, '2024-05-01 00:10:00');
+    const first = change({}, '2024-05-01 01:30:00');
+    const second = change({}, '2024-05-01 01:40:00');
+    const latest = change({}, '2024-05-01 02:00:00');
+    const { watcher, events } = createWatcher({ stateFile, since: '2024-05-01 00:00:00', retention: 3600000, maxTracked: 2 });
+    await watcher.poll();
+    assert.strictEqual(events.length, 4);
+    assert.deepStrictEqual(Object.keys(watcher.seen).sort(), [second.sys_id, latest.sys_id].sort());
+    assert.strictEqual(watcher.seen[latest.sys_id].ticket.change_ticket_key, undefined);
+    assert.ok(!Object.keys(watcher.seen).includes(old.sys_id));
+
+    fs.unlinkSync(stateFile);
+    await watcher.poll();
+    assert.ok(!fs.existsSync(stateFile));
+
+    change({ priority: '2' }, '2024-05-01 02:10:00', first);
+    change({ priority: '2' }, '2024-05-01 02:10:00', second);
+    await watcher.poll();
+    // Records updated at the same time are read in sys_id order.
+    const updates = {};
+    events.slice(4).forEach((event) => {
+      updates[event.change_ticket_key] = event;
+    });
+    assert.deepStrictEqual(Object.keys(updates).sort(), [first.sys_id, second.sys_id].sort());
+    assert.strictEqual(updates[first.sys_id].changes, null);
+    assert.deepStrictEqual(updates[second.sys_id].changes, { priority: { old: 4, new: 2 } });
+    assert.strictEqual(updates[second.sys_id].previous.change_ticket_key, second.sys_id);
+    assert.ok(fs.existsSync(stateFile));
+  });
+
+  it('reads every record when one is updated between pages', async () => {
+    const pagedConnector = new ServiceNowConnector({
+      url: simulator.url,
+      username: simulator.username,
+      password: simulator.password,
+      serviceNowTable: 'change_request',
+      pageSize: 2,
+    });
+    const records = ['01', '02', '03', '04', '04'].map(second => change({}, `2024-05-01 02:00:${second}`));
+    const watcher = new ChangeWatcher(pagedConnector, new FieldMapping(), { since: '2024-05-01 01:00:00' });
+    const events = [];
+    ChangeWatcher.WATCH_EVENTS.forEach(name => watcher.on(name, event => events.push([name, event.change_ticket_key])));
+    // The first record changes once the first page is read. Had the next
+    // page started at an offset, it would have skipped the third record.
+    const { get } = pagedConnector;
+    let pages = 0;
+    pagedConnector.get = function getPage(...args) {
+      pages += 1;
+      if (pages === 2) {
+        change({ priority: '1' }, '2024-05-01 02:00:30', records[0]);
+      }
+      return get.apply(this, args);
+    };
+    try {
+      await watcher.poll();
+    } finally {
+      pagedConnector.transport.destroy();
+    }
+    const ties = records.slice(3).map(record => record.sys_id).sort();
+    assert.deepStrictEqual(events, [
+      ['changeCreated', records[0].sys_id],
+      ['changeCreated', records[1].sys_id],
+      ['changeCreated', records[2].sys_id],
+      ...ties.map(key => ['changeCreated', key]),
+      ['changeUpdated', records[0].sys_id],
+    ]);
+    assert.strictEqual(watcher.watermark, '2024-05-01 02:00:30');
+  });
+
+  it('ignores an unreadable state file and rejects an invalid since', () => {
+    fs.writeFileSync(stateFile, '{');
+    assert.strictEqual(createWatcher({ stateFile }).watcher.watermark, null);
+    assert.throws(() => createWatcher({ since: 'yesterday' }), /Watch since yesterday/);
+  });
+});
@@ -0,0 +1,432 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ServiceNowConnector = require(path.join(__dirname, '../connector.js'));
+const ServiceNowSimulator = require(path.join(__dirname, 'serviceNowSimulator.js'));
+
+describe('ServiceNowConnector', () => {
+  const simulator = new ServiceNowSimulator();
+  const connectors = [];
+
+  const createConnector = (options = {}) => {
+    const connector = new ServiceNowConnector({
+      url: simulator.url,
+      username: simulator.username,
+      password: simulator.password,
+      serviceNowTable: 'change_request',
+      retry: { baseDelay: 1, jitter: 0 },
+      ...options,
+    });
+    connectors.push(connector);
+    return connector;
+  };
+
+  before(() => simulator.start());
+  after(() => {
+    connectors.forEach(connector => connector.transport.destroy());
+    return simulator.stop();
+  });
+  beforeEach(() => simulator.reset());
+
+  describe('constructUri', () => {
+    it('returns the table path without a query', () => {
+      const connector = createConnector();
+      assert.strictEqual(connector.constructUri(), '/api/now/table/change_request');
+    });
+
+    it('encodes filter, sort, paging and field options', () => {
+      const connector = createConnector();
+      const uri = connector.constructUri({
+        filter: 'active=true^priority=1',
+        orderBy: 'work_start',
+        orderDirection: 'desc',
+        limit: 5,
+        offset: 10,
+        fields: ['number', 'sys_id'],
+      });
+      const params = new URL(uri, simulator.url).searchParams;
+      assert.strictEqual(params.get('sysparm_query'), 'active=true^priority=1^ORDERBYDESCwork_start');
+      assert.strictEqual(params.get('sysparm_limit'), '5');
+      assert.strictEqual(params.get('sysparm_offset'), '10');
+      assert.strictEqual(params.get('sysparm_fields'), 'number,sys_id');
+    });
+
+    it('rejects unsafe query options', () => {
+      const connector = createConnector();
+      assert.throws(() => connector.constructUri({ limit: -1 }), /limit must be a non-negative integer/);
+      assert.throws(() => connector.constructUri({ orderBy: 'number;drop' }), /invalid column name/);
+      assert.throws(() => connector.constructUri({ fields: 'number,sys id' }), /invalid column name/);
+      assert.throws(() => connector.constructUri({ orderBy: 'number', orderDirection: 'up' }), /asc or desc/);
+    });
+
+    it('targets another table through forTable', () => {
+      const connector = createConnector();
+      const incidents = connector.forTable('incident');
+      assert.strictEqual(incidents.constructUri(), '/api/now/table/incident');
+      assert.strictEqual(incidents.rateLimiter, connector.rateLimiter);
+      assert.strictEqual(connector.constructUri(), '/api/now/table/change_request');
+      assert.throws(() => connector.forTable('../sys_user'), /Invalid table name/);
+    });
+
+    it('rejects a malformed record key', () => {
+      const connector = createConnector();
+      assert.throws(() => connector.constructUri(null, '../sys_user'), /Invalid record key/);
+    });
+  });
+
+  describe('isHibernating', () => {
+    const connector = new ServiceNowConnector({ serviceNowTable: 'change_request', transport: {} });
+
+    it('detects the hibernation page', () => {
+      assert.strictEqual(connector.isHibernating({
+        statusCode: 200,
+        body: '<html><title>Instance Hibernating page</title></html>',
+      }), true);
+    });
+
+    it('ignores JSON bodies and non-200 responses', () => {
+      assert.strictEqual(connector.isHibernating({ statusCode: 200, body: '{"result":[]}' }), false);
+      assert.strictEqual(connector.isHibernating({
+        statusCode: 503,
+        body: '<html><title>Instance Hibernating page</title></html>',
+      }), false);
+    });
+  });
+
+  describe('processRequestResults', () => {
+    const connector = new ServiceNowConnector({ serviceNowTable: 'change_request', transport: {} });
+    const process = (error, response) => new Promise((resolve) => {
+      connector.processRequestResults(error, response, response && response.body, (data, processedError) => resolve({ data, error: processedError }));
+    });
+
+    it('passes socket errors through', async () => {
+      const socketError = new Error('socket hang up');
+      const result = await process(socketError, undefined);
+      assert.strictEqual(result.data, null);
+      assert.strictEqual(result.error, socketError);
+    });
+
+    it('reports a hibernating instance', async () => {
+      const result = await process(null, { statusCode: 200, body: '<html>Instance Hibernating page</html>' });
+      assert.strictEqual(result.error, 'Hibernating instance');
+    });
+
+    it('returns the response as the error for a bad status', async () => {
+      const response = { statusCode: 404, body: '{}' };
+      const result = await process(null, response);
+      assert.strictEqual(result.data, null);
+      assert.strictEqual(result.error, response);
+    });
+
+    it('returns the response for a 2xx status', async () => {
+      const response = { statusCode: 201, body: '{}' };
+      const result = await process(null, response);
+      assert.strictEqual(result.data, response);
+      assert.strictEqual(result.error, null);
+    });
+  });
+
+  describe('table API calls', () => {
+    it('gets filtered records', async () => {
+      simulator.insert('change_request', { priority: '1' });
+      simulator.insert('change_request', { priority: '3' });
+      const connector = createConnector();
+      const response = await connector.get({ filter: 'priority=1' });
+      const records = JSON.parse(response.body).result;
+      assert.strictEqual(records.length, 1);
+      assert.strictEqual(records[0].priority, '1');
+    });
+
+    it('posts a JSON body', async () => {
+      const connector = createConnector();
+      const response = await connector.post({ description: 'Upgrade' });
+      assert.strictEqual(JSON.parse(response.body).result.description, 'Upgrade');
+      assert.strictEqual(simulator.requests[0].headers['content-type'], 'application/json');
+    });
+
+    it('patches and deletes a record', async () => {
+      const record = simulator.insert('change_request');
+      const connector = createConnector();
+      await connector.patch(record.sys_id, { priority: '2' });
+      assert.strictEqual(simulator.table('change_request')[0].priority, '2');
+      await connector.delete(record.sys_id);
+      assert.strictEqual(simulator.table('change_request').length, 0);
+    });
+
+    it('reports bad credentials as a 401 response', async () => {
+      const connector = createConnector({ password: 'wrong' });
+      await assert.rejects(connector.get(), error => error.response.statusCode === 401);
+    });
+
+    it('reports a hibernating instance', async () => {
+      simulator.hibernating = true;
+      const connector = createConnector();
+      await assert.rejects(connector.get(), /Hibernating instance/);
+    });
+  });
+
+  describe('retries', () => {
+    it('retries a 503 and then succeeds', async () => {
+      simulator.failNext(503, { times: 2 });
+      const connector = createConnector();
+      const response = await connector.get();
+      assert.strictEqual(response.statusCode, 200);
+      assert.strictEqual(simulator.requests.length, 3);
+    });
+
+    it('honours Retry-After on a 429', async () => {
+      simulator.failNext(429, { headers: { 'Retry-After': '0' } });
+      const connector = createConnector();
+      await connector.get();
+      assert.strictEqual(simulator.requests.length, 2);
+    });
+
+    it('gives up after maxAttempts', async () => {
+      simulator.failNext(502, { times: 5 });
+      const connector = createConnector({ retry: { baseDelay: 1, maxAttempts: 2 } });
+      await assert.rejects(connector.get(), error => error.response.statusCode === 502);
+      assert.strictEqual(simulator.requests.length, 2);
+    });
+
+    it('never re-sends a POST unless asked to', async () => {
+      simulator.failNext(503);
+      const connector = createConnector();
+      await assert.rejects(connector.post({}));
+      assert.strictEqual(simulator.requests.length, 1);
+
+      simulator.failNext(503);
+      const retryingConnector = createConnector({ retry: { baseDelay: 1, retryNonIdempotent: true } });
+      await retryingConnector.post({});
+      assert.strictEqual(simulator.requests.length, 3);
+    });
+
+    it('never re-sends a PATCH that writes a journal field', async () => {
+      const record = simulator.insert('change_request');
+      const connector = createConnector();
+      simulator.failNext(504);
+      await assert.rejects(connector.patch(record.sys_id, { work_notes: 'Pre-checks passed' }));
+      assert.strictEqual(simulator.requests.length, 1);
+
+      simulator.failNext(504);
+      await connector.patch(record.sys_id, { priority: '2' });
+      assert.strictEqual(simulator.requests.length, 3);
+    });
+
+    it('fails a call that exceeds the overall timeout', async () => {
+      simulator.delay = 200;
+      const connector = createConnector({ transportOptions: { overallTimeout: 50 } });
+      await assert.rejects(connector.get(), error => error.code === 'ETIMEDOUT');
+    });
+  });
+
+  describe('getPages', () => {
+    const walk = (connector, queryOptions) => new Promise((resolve, reject) => {
+      const pages = [];
+      connector.getPages(queryOptions, (records, next) => {
+        pages.push(records.map(record => record.number));
+        next();
+      }, (summary, error) => (error ? reject(error) : resolve({ pages, summary })));
+    });
+
+    it('follows Link headers page by page', async () => {
+      for (let i = 0; i < 5; i += 1) {
+        simulator.insert('change_request');
+      }
+      const connector = createConnector({ pageSize: 2 });
+      const { pages, summary } = await walk(connector, {});
+      assert.deepStrictEqual(pages.map(page => page.length), [2, 2, 1]);
+      assert.deepStrictEqual(summary, { pages: 3, records: 5 });
+    });
+
+    it('stops at the record cap', async () => {
+      for (let i = 0; i < 5; i += 1) {
+        simulator.insert('change_request');
+      }
+      const connector = createConnector({ pageSize: 2 });
+      const { summary } = await walk(connector, { maxRecords: 3 });
+      assert.deepStrictEqual(summary, { pages: 2, records: 3 });
+    });
+
+    it('fails a page whose result is not an array', async () => {
+      const connector = createConnector();
+      connector.get = (query, callback) => callback({ body: JSON.stringify({ result: { error: 'No Record found' } }) }, null);
+      await assert.rejects(walk(connector, {}), error => error.code === 'INVALID_RESPONSE');
+    });
+  });
+
+  describe('probe', () => {
+    it('reports a healthy instance', async () => {
+      const report = await createConnector().probe();
+      assert.strictEqual(report.healthy, true);
+      assert.strictEqual(report.authenticated, true);
+      assert.strictEqual(simulator.requests[0].url, '/api/now/table/change_request?sysparm_limit=1&sysparm_fields=sys_id');
+    });
+
+    it('reports failed authentication', async () => {
+      const report = await createConnector({ password: 'wrong' }).probe();
+      assert.strictEqual(report.healthy, false);
+      assert.strictEqual(report.statusCode, 401);
+      assert.strictEqual(report.authenticated, false);
+    });
+
+    it('reports hibernation', async () => {
+      simulator.hibernating = true;
+      const report = await createConnector().probe();
+      assert.strictEqual(report.hibernating, true);
+      assert.strictEqual(report.tableAccessible, false);
+    });
+  });
+
+  describe('rate limiting', () => {
+    it('queues requests beyond maxConcurrent', async () => {
+      simulator.delay = 20;
+      const connector = createConnector({ throttle: { maxConcurrent: 1 } });
+      const calls = [connector.get(), connector.get(), connector.get()];
+      assert.deepStrictEqual(
+        [connector.getRequestStats().inFlight, connector.getRequestStats().queued],
+        [1, 2],
+      );
+      await Promise.all(calls);
+      assert.strictEqual(connector.getRequestStats().inFlight, 0);
+    });
+  });
+
+  describe('attachments', () => {
+    const readAll = async (readable) => {
+      const chunks = [];
+      for await (const chunk of readable) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    };
+
+    it('uploads a buffer and downloads it as a stream', async () => {
+      const connector = createConnector();
+      const record = simulator.insert('change_request');
+      const content = Buffer.from([0x25, 0x50, 0x44, 0x46, 0x00, 0xff]);
+      const response = await connector.uploadAttachment(record.sys_id, content, { fileName: 'mop' });
+      const attachment = JSON.parse(response.body).result;
+      assert.strictEqual(attachment.content_type, 'application/pdf');
+      assert.strictEqual(attachment.table_name, 'change_request');
+
+      const download = await connector.downloadAttachment(attachment.sys_id);
+      assert.strictEqual(download.metadata.file_name, 'mop');
+      assert.deepStrictEqual(await readAll(download.stream), content);
+    });
+
+    it('streams a file from disk', async () => {
+      const file = path.join(os.tmpdir(), `precheck-${process.pid}.diff`);
+      fs.writeFileSync(file, '- old\n+ new\n');
+      try {
+        const record = simulator.insert('change_request');
+        await createConnector().uploadAttachment(record.sys_id, file);
+        const [stored] = simulator.table('sys_attachment');
+        assert.strictEqual(stored.file_name, path.basename(file));
+        assert.strictEqual(stored.content_type, 'text/x-diff');
+        assert.strictEqual(simulator.attachmentContent[stored.sys_id].toString(), '- old\n+ new\n');
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('lists and deletes the attachments of a record', async () => {
+      const connector = createConnector();
+      const [first, second] = [simulator.insert('change_request'), simulator.insert('change_request')];
+      await connector.uploadAttachment(first.sys_id, Buffer.from('a'), { fileName: 'a.txt' });
+      await connector.uploadAttachment(second.sys_id, Buffer.from('b'), { fileName: 'b.txt' });
+      const listed = JSON.parse((await connector.listAttachments(first.sys_id)).body).result;
+      assert.deepStrictEqual(listed.map(attachment => attachment.file_name), ['a.txt']);
+      await connector.deleteAttachment(listed[0].sys_id);
+      assert.strictEqual(simulator.table('sys_attachment').length, 1);
+    });
+
+    it('refuses a table name that would widen the attachment query', async () => {
+      const connector = createConnector();
+      const record = simulator.insert('change_request');
+      await assert.rejects(connector.listAttachments(record.sys_id, 'change_request^NQtable_name=incident'), /Invalid table name/);
+      assert.strictEqual(simulator.requests.length, 0);
+    });
+
+    it('enforces the size limits', async () => {
+      const connector = createConnector({ attachments: { maxUploadSize: 4, maxDownloadSize: 2 } });
+      const record = simulator.insert('change_request');
+      await assert.rejects(
+        connector.uploadAttachment(record.sys_id, Buffer.from('too long'), { fileName: 'a.txt' }),
+        error => error.code === 'EFBIG',
+      );
+      assert.strictEqual(simulator.requests.length, 0);
+      await connector.uploadAttachment(record.sys_id, Buffer.from('abc'), { fileName: 'a.txt' });
+      const [stored] = simulator.table('sys_attachment');
+      await assert.rejects(connector.downloadAttachment(stored.sys_id), error => error.code === 'EFBIG');
+    });
+  });
+
+  describe('cache', () => {
+    it('serves repeated reads from the cache until a write', async () => {
+      const connector = createConnector({ cache: { enabled: true } });
+      const record = simulator.insert('change_request', { priority: '2' });
+      const first = await connector.get({ filter: 'priority=2' });
+      const second = await connector.get({ filter: 'priority=2' });
+      assert.strictEqual(second.body, first.body);
+      assert.strictEqual(simulator.requests.length, 1);
+
+      await connector.patch(record.sys_id, { priority: '1' });
+      assert.deepStrictEqual(JSON.parse((await connector.get({ filter: 'priority=2' })).body).result, []);
+      await connector.uncached().get({ filter: 'priority=2' });
+      assert.strictEqual(simulator.requests.length, 4);
+    });
+
+    it('revalidates an expired read with If-None-Match', async () => {
+      simulator.etags = true;
+      const connector = createConnector({ cache: { enabled: true, ttl: 1 } });
+      simulator.insert('change_request');
+      const first = await connector.get();
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const second = await connector.get();
+      assert.strictEqual(second.body, first.body);
+      assert.strictEqual(simulator.requests[1].headers['if-none-match'], first.headers.etag);
+      assert.strictEqual(connector.cache.stats().hits, 1);
+    });
+
+    it('does not store a read that a write overtook', async () => {
+      const connector = createConnector({ cache: { enabled: true } });
+      const record = simulator.insert('change_request', { priority: '2' });
+      simulator.delay = 50;
+      const read = connector.get();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      simulator.delay = 0;
+      await connector.patch(record.sys_id, { priority: '1' });
+      await read;
+      const fresh = await connector.get();
+      assert.strictEqual(JSON.parse(fresh.body).result[0].priority, '1');
+      assert.strictEqual(simulator.requests.length, 3);
+    });
+  });
+
+  describe('change management API', () => {
+    it('creates changes with a change model', async () => {
+      const connector = createConnector();
+      const template = simulator.insert('std_change_record_producer', { name: 'Reboot', short_description: 'Reboot a server' });
+      await connector.createChange('emergency', { description: 'Fix outage' });
+      await connector.createChange('standard', {}, template.sys_id);
+      assert.deepStrictEqual(simulator.requests.map(request => `${request.method} ${request.url}`), [
+        'POST /api/sn_chg_rest/change/emergency',
+        `POST /api/sn_chg_rest/change/standard/${template.sys_id}`,
+      ]);
+      assert.deepStrictEqual(simulator.table('change_request').map(record => [record.type, record.description]), [
+        ['emergency', 'Fix outage'],
+        ['standard', 'Reboot a server'],
+      ]);
+    });
+
+    it('rejects an unknown model or a malformed key before sending', async () => {
+      const connector = createConnector();
+      await assert.rejects(connector.createChange('urgent', {}), /Unknown change model urgent/);
+      await assert.rejects(connector.createChange('standard', {}, '../template'), /Invalid standard change template key/);
+      await assert.rejects(connector.calculateChangeRisk('../risk'), /Invalid record key/);
+      assert.strictEqual(simulator.requests.length, 0);
+    });
+  });
+});
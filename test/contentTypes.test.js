@@ -0,0 +1,18 @@
+const assert = require('assert');
+const path = require('path');
+
+const { detectContentType } = require(path.join(__dirname, '../contentTypes.js'));
+
+describe('contentTypes', () => {
+  it('prefers the file extension', () => {
+    assert.strictEqual(detectContentType('MOP.DOCX', Buffer.from('text')), 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    assert.strictEqual(detectContentType('router1.log'), 'text/plain');
+  });
+
+  it('falls back to the content', () => {
+    assert.strictEqual(detectContentType('capture', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d])), 'image/png');
+    assert.strictEqual(detectContentType('show-run', Buffer.from('interface Gi0/1\n shutdown\n')), 'text/plain');
+    assert.strictEqual(detectContentType('blob', Buffer.from([0x00, 0x01, 0x02])), 'application/octet-stream');
+    assert.strictEqual(detectContentType('blob'), 'application/octet-stream');
+  });
+});
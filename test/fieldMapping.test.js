@@ -0,0 +1,72 @@
+const assert = require('assert');
+const path = require('path');
+
+const FieldMapping = require(path.join(__dirname, '../fieldMapping.js'));
+const TABLES = require(path.join(__dirname, '../tables.js'));
+const changeRequestSchema = require(path.join(__dirname, '../json-schema/changeRequest.json'));
+const changeTaskSchema = require(path.join(__dirname, '../json-schema/changeTask.json'));
+
+describe('FieldMapping', () => {
+  const custom = new FieldMapping({
+    renames: { description: 'u_long_description' },
+    extraFields: { risk_score: { column: 'u_risk_score', type: 'integer' } },
+    defaults: { priority: 3 },
+  });
+
+  it('generates json-schema/changeRequest.json from the built-in mapping', () => {
+    assert.deepStrictEqual(new FieldMapping().schema(), changeRequestSchema);
+  });
+
+  it('generates json-schema/changeTask.json from the change_task definition', () => {
+    assert.deepStrictEqual(new FieldMapping({}, TABLES.change_task).schema(), changeTaskSchema);
+  });
+
+  it('normalizes renamed and extra columns', () => {
+    const ticket = custom.normalize({
+      sys_id: 'a1',
+      number: 'CHG0001',
+      description: 'ignored',
+      u_long_description: 'Replace core switch',
+      u_risk_score: '7',
+    });
+    assert.strictEqual(ticket.description, 'Replace core switch');
+    assert.strictEqual(ticket.risk_score, 7);
+    assert.strictEqual(ticket.change_ticket_key, 'a1');
+  });
+
+  it('coerces ServiceNow strings to schema types', () => {
+    const ticket = custom.normalize({ active: 'false', priority: '2', state: '-5', u_risk_score: '' });
+    assert.strictEqual(ticket.active, false);
+    assert.strictEqual(ticket.priority, 2);
+    assert.strictEqual(ticket.state, '-5');
+    assert.ok(!('risk_score' in ticket));
+    assert.strictEqual(custom.normalize({ priority: 'high' }).priority, 'high');
+    assert.strictEqual(custom.normalize({ priority: '' }).priority, null);
+  });
+
+  it('denormalizes with the same mapping and applies defaults on request', () => {
+    assert.deepStrictEqual(custom.denormalize({ description: 'Reboot', risk_score: 2, owner: 'me' }), {
+      u_long_description: 'Reboot',
+      u_risk_score: 2,
+    });
+    assert.deepStrictEqual(custom.denormalize({ priority: 1 }, true), { priority: 1 });
+    assert.deepStrictEqual(custom.denormalize({}, true), { priority: 3 });
+  });
+
+  it('adds extra fields and defaults to the schema', () => {
+    const schema = custom.ticketSchema();
+    assert.deepStrictEqual(schema.properties.risk_score, { type: 'integer' });
+    assert.strictEqual(schema.properties.priority.default, 3);
+    assert.ok(!schema.required.includes('risk_score'));
+  });
+
+  it('rejects invalid mappings', () => {
+    assert.throws(() => new FieldMapping({ renames: { owner: 'u_owner' } }), /unknown property owner/);
+    assert.throws(() => new FieldMapping({ renames: { change_ticket_key: 'u_key' } }), /cannot rename/);
+    assert.throws(() => new FieldMapping({ renames: { description: 'u desc' } }), /invalid column name/);
+    assert.throws(() => new FieldMapping({ extraFields: { state: { column: 'u_state' } } }), /already defined/);
+    assert.throws(() => new FieldMapping({ extraFields: { risk: { column: 'u_risk', type: 'date' } } }), /unknown type date/);
+    assert.throws(() => new FieldMapping({ renames: { description: 'number' } }), /column number/);
+    assert.throws(() => new FieldMapping({ defaults: { owner: 'me' } }), /unknown property owner/);
+  });
+});
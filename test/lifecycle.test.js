@@ -0,0 +1,31 @@
+const assert = require('assert');
+const path = require('path');
+
+const lifecycle = require(path.join(__dirname, '../lifecycle.js'));
+
+describe('lifecycle', () => {
+  it('resolves state names and values', () => {
+    assert.strictEqual(lifecycle.stateName('-1'), 'Implement');
+    assert.strictEqual(lifecycle.stateName('review'), 'Review');
+    assert.strictEqual(lifecycle.stateValue('Closed'), '3');
+    assert.strictEqual(lifecycle.stateValue('Done'), null);
+  });
+
+  it('allows transitions of each change model', () => {
+    assert.strictEqual(lifecycle.checkTransition('normal', 'New', 'Assess'), null);
+    assert.strictEqual(lifecycle.checkTransition('standard', '-5', '-2'), null);
+    assert.strictEqual(lifecycle.checkTransition('emergency', 'New', 'Authorize'), null);
+  });
+
+  it('refuses illegal transitions', () => {
+    const error = lifecycle.checkTransition('standard', 'New', 'Assess');
+    assert.strictEqual(error.code, 'ILLEGAL_TRANSITION');
+    assert.deepStrictEqual(error.allowed, ['Scheduled', 'Canceled']);
+    assert.match(lifecycle.checkTransition('normal', 'Closed', 'New').message, /final state/);
+  });
+
+  it('reports unknown types and states', () => {
+    assert.strictEqual(lifecycle.checkTransition('urgent', 'New', 'Assess').code, 'UNKNOWN_CHANGE_TYPE');
+    assert.strictEqual(lifecycle.checkTransition('normal', 'New', 'Done').code, 'UNKNOWN_STATE');
+  });
+});
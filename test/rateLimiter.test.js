@@ -0,0 +1,62 @@
+const assert = require('assert');
+const path = require('path');
+
+const RateLimiter = require(path.join(__dirname, '../rateLimiter.js'));
+
+describe('RateLimiter', () => {
+  it('caps concurrent requests and starts queued ones in order', () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    const started = [];
+    const releases = [];
+    [1, 2, 3].forEach(id => limiter.acquire((release) => {
+      started.push(id);
+      releases.push(release);
+    }));
+
+    assert.deepStrictEqual(started, [1]);
+    assert.deepStrictEqual(limiter.stats().queued, 2);
+    releases[0]();
+    releases[0]();
+    assert.deepStrictEqual(started, [1, 2]);
+    releases[1]();
+    releases[2]();
+    assert.deepStrictEqual(limiter.stats().inFlight, 0);
+  });
+
+  it('fails requests beyond the queue depth', () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1, maxQueueDepth: 0 });
+    const outcomes = [];
+    const acquire = () => limiter.acquire((release, error) => outcomes.push(error ? error.code : release));
+    acquire();
+    acquire();
+    assert.strictEqual(typeof outcomes[0], 'function');
+    assert.strictEqual(outcomes[1], 'EQUEUEFULL');
+
+    // With no queue at all, a request still starts whenever a slot is free.
+    outcomes[0]();
+    acquire();
+    assert.strictEqual(typeof outcomes[2], 'function');
+    assert.deepStrictEqual(limiter.stats().queued, 0);
+  });
+
+  it('fails requests that wait too long', (done) => {
+    const limiter = new RateLimiter({ maxConcurrent: 1, queueTimeout: 10 });
+    limiter.acquire(() => {});
+    limiter.acquire((release, error) => {
+      assert.strictEqual(error.code, 'EQUEUETIMEOUT');
+      assert.strictEqual(limiter.stats().queued, 0);
+      done();
+    });
+  });
+
+  it('paces requests to the configured rate', (done) => {
+    const limiter = new RateLimiter({ requestsPerSecond: 50, burst: 1 });
+    const started = Date.now();
+    limiter.acquire(release => release());
+    limiter.acquire((release) => {
+      release();
+      assert.ok(Date.now() - started >= 15);
+      done();
+    });
+  });
+});
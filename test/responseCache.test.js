@@ -0,0 +1,63 @@
+const assert = require('assert');
+const path = require('path');
+
+const ResponseCache = require(path.join(__dirname, '../responseCache.js'));
+
+describe('ResponseCache', () => {
+  const response = (body, headers = {}) => ({ statusCode: 200, headers, body });
+
+  it('serves fresh responses and expires them by table TTL', async () => {
+    const cache = new ResponseCache({ ttl: 1000, tables: { sysapproval_approver: 0, incident: 5 } });
+    cache.store('change_request', 'sysparm_limit=1', response('a'));
+    cache.store('incident', '', response('b'));
+    cache.store('sysapproval_approver', '', response('c'));
+    assert.deepStrictEqual(cache.lookup('change_request', 'sysparm_limit=1').response.body, 'a');
+    assert.strictEqual(cache.lookup('change_request', 'sysparm_limit=2'), null);
+    assert.strictEqual(cache.lookup('sysapproval_approver', ''), null);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.strictEqual(cache.lookup('incident', ''), null);
+    assert.deepStrictEqual(cache.stats(), { entries: 1, maxEntries: 500, hits: 1, misses: 3 });
+  });
+
+  it('drops the least recently used entry beyond maxEntries', () => {
+    const cache = new ResponseCache({ maxEntries: 2 });
+    cache.store('change_request', 'a', response('a'));
+    cache.store('change_request', 'b', response('b'));
+    cache.lookup('change_request', 'a');
+    cache.store('change_request', 'c', response('c'));
+    assert.strictEqual(cache.lookup('change_request', 'b'), null);
+    assert.ok(cache.lookup('change_request', 'a'));
+    assert.ok(cache.lookup('change_request', 'c'));
+  });
+
+  it('keeps expired entries with validators for revalidation', () => {
+    const cache = new ResponseCache();
+    cache.store('change_request', '', response('a', { etag: '"v1"' }));
+    cache.entries.get('change_request?').expires = 0;
+    const stale = cache.lookup('change_request', '');
+    assert.deepStrictEqual([stale.fresh, stale.validators], [false, { 'If-None-Match': '"v1"' }]);
+    cache.refresh('change_request', '');
+    assert.strictEqual(cache.lookup('change_request', '').fresh, true);
+  });
+
+  it('invalidates a written table and the tables the write can change', () => {
+    const cache = new ResponseCache();
+    ['change_request', 'sys_journal_field', 'sysapproval_approver', 'incident'].forEach(table => cache.store(table, '', response(table)));
+    assert.strictEqual(cache.invalidate('change_request'), 3);
+    assert.deepStrictEqual([...cache.entries.values()].map(entry => entry.table), ['incident']);
+    assert.strictEqual(cache.clear(), 1);
+  });
+
+  it('does not store a read that started before an invalidation', () => {
+    const cache = new ResponseCache();
+    const { generation } = cache;
+    cache.invalidate('change_request');
+    cache.store('change_request', '', response('stale'), generation);
+    cache.store('incident', '', response('unaffected'), generation);
+    assert.strictEqual(cache.lookup('change_request', ''), null);
+    assert.ok(cache.lookup('incident', ''));
+    cache.clear();
+    cache.store('incident', '', response('stale'), generation);
+    assert.strictEqual(cache.lookup('incident', ''), null);
+  });
+});
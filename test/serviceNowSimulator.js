@@ -0,0 +1,827 @@
+const http = require('http');
+const crypto = require('crypto');
+const querystring = require('querystring');
+
+const tablePathRegex = /^\/api\/now\/table\/([A-Za-z0-9_]+)(?:\/([0-9a-f]{32}))?$/;
+
+// Matches /api/now/attachment, /attachment/file, /attachment/{sys_id}, and /attachment/{sys_id}/file.
+const attachmentPathRegex = /^\/api\/now\/attachment(?:\/([0-9a-f]{32}))?(\/file)?$/;
+
+// Matches /api/sn_chg_rest/change/{model}[/{template}], /change/standard/template,
+// and /change/{sys_id}/{conflict|risk}.
+const changePathRegex = /^\/api\/sn_chg_rest\/change\/(?:(normal|emergency|standard)(?:\/([0-9a-f]{32}))?|standard\/(template)|([0-9a-f]{32})\/(conflict|risk))$/;
+
+// Token endpoint of ServiceNow's OAuth 2.0 provider.
+const TOKEN_PATH = '/oauth_token.do';
+
+// Display values of change risk and impact.
+const RISK_LABELS = { 1: 'Very High', 2: 'High', 3: 'Moderate', 4: 'Low' };
+const IMPACT_LABELS = { 1: '1 - High', 2: '2 - Medium', 3: '3 - Low' };
+
+// The page a hibernating developer instance returns with status 200.
+const HIBERNATING_PAGE = '<html><head><title>Instance Hibernating page</title></head>'
+  + '<body>Your instance is hibernating.</body></html>';
+
+// Default column values of records created by POST, keyed by table.
+const TABLE_DEFAULTS = {
+  change_request: {
+    active: 'true',
+    priority: '4',
+    state: '-5',
+    type: 'normal',
+    description: '',
+    work_start: '',
+    work_end: '',
+    cmdb_ci: '',
+  },
+  change_task: {
+    active: 'true',
+    priority: '4',
+    state: '1',
+    change_request: '',
+    short_description: '',
+  },
+  incident: {
+    active: 'true',
+    priority: '5',
+    impact: '3',
+    urgency: '3',
+    state: '1',
+    short_description: '',
+  },
+  sysapproval_approver: {
+    state: 'requested',
+    sysapproval: '',
+    approver: '',
+  },
+  problem: {
+    active: 'true',
+    priority: '5',
+    impact: '3',
+    urgency: '3',
+    state: '101',
+    known_error: 'false',
+    short_description: '',
+  },
+};
+
+// Journal fields. Values written to them are appended to sys_journal_field
+// instead of being stored on the record.
+const JOURNAL_FIELDS = ['work_notes', 'comments'];
+
+// Number prefixes of records created by POST, keyed by table.
+const NUMBER_PREFIXES = {
+  change_request: 'CHG',
+  change_task: 'CTASK',
+  incident: 'INC',
+  problem: 'PRB',
+};
+
+/**
+ * @function timestamp
+ * @description Formats the current time as ServiceNow stores it in UTC.
+ *
+ * @return {string} The time, such as 2024-05-01 02:00:00.
+ */
+function timestamp() {
+  return new Date().toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * @function withDisplayValues
+ * @description Formats a record as the Change Management API sends it:
+ *   each field as an object with its value and display_value.
+ *
+ * @param {object} record - The record.
+ * @param {object} [labels] - Display values that differ from the value,
+ *   keyed by field.
+ *
+ * @return {object} The formatted record.
+ */
+function withDisplayValues(record, labels = {}) {
+  const formatted = {};
+  Object.keys(record).forEach((field) => {
+    formatted[field] = { value: record[field], display_value: labels[field] || record[field] };
+  });
+  return formatted;
+}
+
+/**
+ * @function compareValues
+ * @description Orders two column values as both conditions and ORDERBY
+ *   do: as numbers when both are numeric, otherwise as text.
+ *
+ * @param {string} a - The first value.
+ * @param {string} b - The second value.
+ *
+ * @return {number} Negative, zero, or positive as a sorts before, with, or
+ *   after b.
+ */
+function compareValues(a, b) {
+  const numeric = a !== '' && b !== '' && !Number.isNaN(Number(a)) && !Number.isNaN(Number(b));
+  if (numeric) {
+    return Number(a) - Number(b);
+  }
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+}
+
+/**
+ * @function matchesCondition
+ * @description Tests a record against one condition of an encoded query.
+ *   Supports =, !=, LIKE, STARTSWITH, <, <=, >, >=, and IN.
+ *
+ * @param {object} record - The record to test.
+ * @param {string} condition - A condition, such as priority<=2.
+ *
+ * @return {boolean} True when the record matches.
+ */
+function matchesCondition(record, condition) {
+  const match = /^([A-Za-z0-9_.]+?)(!=|<=|>=|=|<|>|LIKE|STARTSWITH|IN)(.*)$/.exec(condition);
+  if (!match) {
+    return true;
+  }
+  const [, field, operator, value] = match;
+  const actual = record[field] === undefined ? '' : String(record[field]);
+  const compare = compareValues(actual, value);
+
+  switch (operator) {
+    case '=': return actual === value;
+    case '!=': return actual !== value;
+    case 'LIKE': return actual.includes(value);
+    case 'STARTSWITH': return actual.startsWith(value);
+    case 'IN': return value.split(',').includes(actual);
+    case '<': return compare < 0;
+    case '<=': return compare <= 0;
+    case '>': return compare > 0;
+    default: return compare >= 0;
+  }
+}
+
+/**
+ * The ServiceNowSimulator class.
+ *
+ * @summary Local ServiceNow Table API Simulator
+ * @description This class runs an in-memory stand-in for the ServiceNow
+ *   Table API on a local port. It serves GET with sysparm_query, limit,
+ *   offset, and fields, plus POST, PATCH, and DELETE, and the attachment
+ *   API's upload, list, download, and delete, and the Change Management
+ *   API's change creation, standard change templates, conflict checks,
+ *   and risk calculation. Requests authenticate with basic auth, an OAuth
+ *   access token from /oauth_token.do, or an API key. It can simulate a
+ *   hibernating instance, failed authentication, throttling, and slow
+ *   responses. Tests drive ServiceNowConnector and ServiceNowAdapter
+ *   against it.
+ */
+class ServiceNowSimulator {
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @constructs
+   * @description Creates an empty simulator.
+   *
+   * @param {object} [options] - Simulator options.
+   * @param {string} [options.username=admin] - Accepted basic auth username.
+   * @param {string} [options.password=password] - Accepted basic auth password.
+   * @param {string} [options.clientId=client] - Accepted OAuth client ID.
+   * @param {string} [options.clientSecret=secret] - Accepted OAuth client secret.
+   * @param {string} [options.apiKey=api-key] - Accepted x-sn-apikey header value.
+   */
+  constructor(options = {}) {
+    this.username = options.username || 'admin';
+    this.password = options.password || 'password';
+    this.clientId = options.clientId || 'client';
+    this.clientSecret = options.clientSecret || 'secret';
+    this.apiKey = options.apiKey || 'api-key';
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    // Open connections, destroyed by stop().
+    this.sockets = new Set();
+    this.server.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.once('close', () => this.sockets.delete(socket));
+    });
+    this.reset();
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method reset
+   * @description Empties every table and clears simulated faults and the
+   *   request log.
+   */
+  reset() {
+    this.tables = {};
+    this.requests = [];
+    this.faults = [];
+    this.hibernating = false;
+    this.delay = 0;
+    this.sequence = 1000;
+    // When true, reads carry an ETag and honour If-None-Match.
+    this.etags = false;
+    // Attachment content keyed by the sys_attachment record's sys_id.
+    this.attachmentContent = {};
+    // Change Management API conflict checks keyed by change sys_id.
+    this.conflictChecks = {};
+    // How many reads of a new conflict check report it as still executing.
+    this.conflictCheckPolls = 0;
+    // Issued OAuth access tokens and when they expire, in epoch milliseconds.
+    this.accessTokens = {};
+    // Issued OAuth refresh tokens. Deleting one makes refreshing with it fail.
+    this.refreshTokens = {};
+    // Seconds issued access tokens live. null leaves expires_in out of the response.
+    this.tokenLifetime = 1800;
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method start
+   * @description Listens on a local port.
+   *
+   * @param {number} [port=0] - Port to listen on. 0 picks a free port.
+   *
+   * @return {Promise<string>} The simulator's base URL.
+   */
+  start(port = 0) {
+    return new Promise((resolve) => {
+      this.server.listen(port, '127.0.0.1', () => resolve(this.url));
+    });
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method stop
+   * @description Stops listening and closes open connections.
+   *
+   * @return {Promise} Resolves once the server has closed.
+   */
+  stop() {
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.sockets.forEach(socket => socket.destroy());
+    });
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @member {string} url
+   * @description The base URL of the running simulator.
+   */
+  get url() {
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method table
+   * @description Returns a table's records, creating the table if needed.
+   *
+   * @param {string} name - The table name.
+   *
+   * @return {object[]} The table's records.
+   */
+  table(name) {
+    if (!this.tables[name]) {
+      this.tables[name] = [];
+    }
+    return this.tables[name];
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method insert
+   * @description Adds a record to a table as POST would, filling in
+   *   sys_id, number, creation and update times, and the table's default values.
+   *
+   * @param {string} tableName - The table name.
+   * @param {object} [fields] - Column values. Values are stored as strings.
+   *
+   * @return {object} The stored record.
+   */
+  insert(tableName, fields = {}) {
+    this.sequence += 1;
+    const record = {
+      sys_id: crypto.randomBytes(16).toString('hex'),
+      number: `${NUMBER_PREFIXES[tableName] || 'REC'}${String(this.sequence).padStart(7, '0')}`,
+      sys_created_on: timestamp(),
+      sys_updated_on: timestamp(),
+      ...TABLE_DEFAULTS[tableName],
+    };
+    this.table(tableName).push(record);
+    this.write(tableName, record, fields);
+    return record;
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method write
+   * @description Stores column values on a record as strings. Journal
+   *   fields become sys_journal_field entries, as in ServiceNow.
+   *
+   * @param {string} tableName - The record's table.
+   * @param {object} record - The stored record.
+   * @param {object} fields - Column values.
+   */
+  write(tableName, record, fields) {
+    Object.keys(fields).forEach((field) => {
+      const value = fields[field] === null ? '' : String(fields[field]);
+      if (!JOURNAL_FIELDS.includes(field)) {
+        record[field] = value;
+      } else if (value) {
+        this.insert('sys_journal_field', {
+          element: field,
+          element_id: record.sys_id,
+          name: tableName,
+          value,
+          sys_created_by: this.username,
+        });
+      }
+    });
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method failNext
+   * @description Makes the next requests fail with an HTTP status.
+   *
+   * @param {number} statusCode - The status to answer with, such as 401 or 429.
+   * @param {object} [options] - Fault options.
+   * @param {number} [options.times=1] - How many requests fail.
+   * @param {object} [options.headers] - Response headers, such as Retry-After.
+   * @param {string} [options.path] - Only requests whose path starts with this fail.
+   */
+  failNext(statusCode, options = {}) {
+    this.faults.push({
+      statusCode,
+      times: options.times || 1,
+      headers: options.headers || {},
+      path: options.path,
+    });
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method handle
+   * @description Serves one request.
+   *
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   */
+  handle(req, res) {
+    // ServerResponse only links back to its request from Node 15.7; send() reads it for ETags.
+    res.req = res.req || req;
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const content = Buffer.concat(chunks);
+      const body = content.toString('utf8');
+      this.requests.push({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body,
+      });
+      setTimeout(() => this.respond(req, res, body, content), this.delay);
+    });
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method respond
+   * @description Applies simulated faults, checks credentials, then routes
+   *   the request.
+   *
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   * @param {string} body - The request body.
+   * @param {Buffer} content - The raw request body.
+   */
+  respond(req, res, body, content) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const fault = this.faults.find(candidate => !candidate.path || url.pathname.startsWith(candidate.path));
+    if (fault) {
+      fault.times -= 1;
+      if (fault.times <= 0) {
+        this.faults.splice(this.faults.indexOf(fault), 1);
+      }
+      return this.send(res, fault.statusCode, { error: { message: 'Simulated failure' } }, fault.headers);
+    }
+    if (this.hibernating) {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(HIBERNATING_PAGE);
+    }
+    if (url.pathname === TOKEN_PATH) {
+      return this.token(req, res, body);
+    }
+    if (!this.authorized(req)) {
+      return this.send(res, 401, { error: { message: 'User Not Authenticated' } });
+    }
+
+    const attachmentRoute = attachmentPathRegex.exec(url.pathname);
+    if (attachmentRoute) {
+      return this.attachment(req, res, url, attachmentRoute[1], Boolean(attachmentRoute[2]), content);
+    }
+    const changeRoute = changePathRegex.exec(url.pathname);
+    if (changeRoute) {
+      return this.change(req, res, url, changeRoute, body);
+    }
+    const route = tablePathRegex.exec(url.pathname);
+    if (!route) {
+      return this.send(res, 400, { error: { message: 'Requested URI does not represent any resource' } });
+    }
+    const [, tableName, sysId] = route;
+    let payload = {};
+    if (body) {
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        return this.send(res, 400, { error: { message: 'Exception while reading request' } });
+      }
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return sysId ? this.getOne(res, tableName, sysId, url) : this.list(res, tableName, url);
+      case 'POST':
+        return this.send(res, 201, { result: this.insert(tableName, payload) });
+      case 'PATCH':
+      case 'PUT':
+        return this.update(res, tableName, sysId, payload);
+      case 'DELETE':
+        return this.remove(res, tableName, sysId);
+      default:
+        return this.send(res, 405, { error: { message: 'Method not Supported' } });
+    }
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method attachment
+   * @description Serves the attachment API. Attachment records are kept in
+   *   the sys_attachment table and their content in attachmentContent.
+   *
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   * @param {URL} url - The request URL.
+   * @param {string} [sysId] - The attachment's key.
+   * @param {boolean} file - True for the /file path.
+   * @param {Buffer} content - The raw request body.
+   */
+  attachment(req, res, url, sysId, file, content) {
+    if (req.method === 'POST' && !sysId && file) {
+      const params = url.searchParams;
+      const record = this.insert('sys_attachment', {
+        file_name: params.get('file_name'),
+        content_type: req.headers['content-type'],
+        size_bytes: content.length,
+        table_name: params.get('table_name'),
+        table_sys_id: params.get('table_sys_id'),
+      });
+      delete record.number;
+      record.download_link = `${this.url}/api/now/attachment/${record.sys_id}/file`;
+      this.attachmentContent[record.sys_id] = content;
+      return this.send(res, 201, { result: record });
+    }
+    if (req.method === 'GET' && !sysId && !file) {
+      return this.list(res, 'sys_attachment', url);
+    }
+    const record = sysId && this.table('sys_attachment').find(candidate => candidate.sys_id === sysId);
+    if (sysId && !record) {
+      return this.send(res, 404, { error: { message: 'No Record found' } });
+    }
+    if (req.method === 'GET' && record && file) {
+      res.writeHead(200, {
+        'Content-Type': record.content_type,
+        'Content-Length': this.attachmentContent[sysId].length,
+        'X-Attachment-Metadata': JSON.stringify(record),
+      });
+      return res.end(this.attachmentContent[sysId]);
+    }
+    if (req.method === 'GET' && record) {
+      return this.getOne(res, 'sys_attachment', sysId, url);
+    }
+    if (req.method === 'DELETE' && record && !file) {
+      delete this.attachmentContent[sysId];
+      return this.remove(res, 'sys_attachment', sysId);
+    }
+    return this.send(res, 405, { error: { message: 'Method not Supported' } });
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method change
+   * @description Serves the Change Management API: creating changes with a
+   *   change model, listing standard change templates from the
+   *   std_change_record_producer table, conflict checks of changes
+   *   overlapping on the same cmdb_ci, and risk calculation from priority.
+   *
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   * @param {URL} url - The request URL.
+   * @param {string[]} route - The changePathRegex match.
+   * @param {string} body - The request body.
+   */
+  change(req, res, url, route, body) {
+    const [, model, templateId, templates, sysId, action] = route;
+    if (templates && req.method === 'GET') {
+      return this.list(res, 'std_change_record_producer', url, withDisplayValues);
+    }
+    if (model && req.method === 'POST') {
+      let fields;
+      try {
+        fields = body ? JSON.parse(body) : {};
+      } catch (error) {
+        return this.send(res, 400, { error: { message: 'Exception while reading request' } });
+      }
+      if (model === 'standard') {
+        const template = this.table('std_change_record_producer').find(candidate => candidate.sys_id === templateId);
+        if (!template) {
+          return this.send(res, 404, { error: { message: 'Standard change template not found' } });
+        }
+        fields = { description: template.short_description, ...fields, std_change_producer_version: templateId };
+      }
+      return this.send(res, 200, { result: withDisplayValues(this.insert('change_request', { ...fields, type: model })) });
+    }
+    const change = sysId && this.table('change_request').find(candidate => candidate.sys_id === sysId);
+    if (!change) {
+      return this.send(res, 404, { error: { message: 'No Record found' } });
+    }
+    if (action === 'conflict' && req.method === 'POST') {
+      const conflicts = this.table('change_request')
+        .filter(other => other !== change && other.active === 'true' && change.cmdb_ci && other.cmdb_ci === change.cmdb_ci)
+        .filter(other => other.work_start < change.work_end && other.work_end > change.work_start)
+        .map(other => withDisplayValues({
+          sys_id: crypto.randomBytes(16).toString('hex'),
+          type: 'change',
+          description: `Already scheduled: ${other.number}`,
+          change: change.sys_id,
+          conflicting_change: other.sys_id,
+          configuration_item: change.cmdb_ci,
+          schedule: '',
+        }, { type: 'Change', conflicting_change: other.number }));
+      this.conflictChecks[sysId] = { conflicts, polls: this.conflictCheckPolls };
+      return this.send(res, 202, { result: { request_id: crypto.randomBytes(16).toString('hex'), state: 'Executing' } });
+    }
+    if (action === 'conflict' && req.method === 'GET') {
+      const check = this.conflictChecks[sysId];
+      if (!check) {
+        return this.send(res, 200, { result: [], request_status: { state: 'Not Run' } });
+      }
+      if (check.polls > 0) {
+        check.polls -= 1;
+        return this.send(res, 200, { result: [], request_status: { state: 'Executing' } });
+      }
+      return this.send(res, 200, { result: check.conflicts, request_status: { state: 'Completed' } });
+    }
+    if (action === 'risk' && req.method === 'PATCH') {
+      this.write('change_request', change, {
+        risk: Number(change.priority) <= 2 ? '2' : '4',
+        impact: Number(change.priority) <= 2 ? '1' : '3',
+        sys_updated_on: timestamp(),
+      });
+      return this.send(res, 200, {
+        result: withDisplayValues(change, { risk: RISK_LABELS[change.risk], impact: IMPACT_LABELS[change.impact] }),
+      });
+    }
+    return this.send(res, 405, { error: { message: 'Method not Supported' } });
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method token
+   * @description Serves the OAuth token endpoint: the password,
+   *   client_credentials, and refresh_token grants. A refresh token is good
+   *   until it is deleted from refreshTokens.
+   *
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   * @param {string} body - The form-encoded request body.
+   */
+  token(req, res, body) {
+    if (req.method !== 'POST') {
+      return this.send(res, 405, { error: { message: 'Method not Supported' } });
+    }
+    const form = querystring.parse(body);
+    const deny = description => this.send(res, 401, { error: 'access_denied', error_description: description });
+    if (form.client_id !== this.clientId || form.client_secret !== this.clientSecret) {
+      return deny('Invalid client credentials');
+    }
+    switch (form.grant_type) {
+      case 'password':
+        if (form.username !== this.username || form.password !== this.password) {
+          return deny('Invalid user credentials');
+        }
+        break;
+      case 'refresh_token':
+        if (!this.refreshTokens[form.refresh_token]) {
+          return deny('Invalid refresh token');
+        }
+        break;
+      case 'client_credentials':
+        break;
+      default:
+        return this.send(res, 400, { error: 'unsupported_grant_type' });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    const lifetime = this.tokenLifetime === null ? 1800 : this.tokenLifetime;
+    this.accessTokens[accessToken] = Date.now() + lifetime * 1000;
+    const token = { access_token: accessToken, token_type: 'Bearer', scope: 'useraccount' };
+    if (form.grant_type === 'password') {
+      token.refresh_token = crypto.randomBytes(16).toString('hex');
+      this.refreshTokens[token.refresh_token] = true;
+    }
+    if (this.tokenLifetime !== null) {
+      token.expires_in = this.tokenLifetime;
+    }
+    return this.send(res, 200, token);
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method authorized
+   * @description Accepts the configured basic auth credentials, an
+   *   unexpired access token issued by token(), or the configured API key.
+   *
+   * @param {http.IncomingMessage} req - The request.
+   *
+   * @return {boolean} True when the credentials match.
+   */
+  authorized(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      return this.accessTokens[authorization.slice(7)] > Date.now();
+    }
+    if (req.headers['x-sn-apikey'] !== undefined) {
+      return req.headers['x-sn-apikey'] === this.apiKey;
+    }
+    return authorization === `Basic ${Buffer.from(`${this.username}:${this.password}`).toString('base64')}`;
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method list
+   * @description Serves a filtered, sorted, and paged table read with a
+   *   Link header and X-Total-Count, like the Table API. Conditions may be
+   *   joined with ^OR.
+   *
+   * @param {http.ServerResponse} res - The response.
+   * @param {string} tableName - The table name.
+   * @param {URL} url - The request URL.
+   * @param {function} [format] - Formats each returned record.
+   */
+  list(res, tableName, url, format = record => record) {
+    const params = url.searchParams;
+    const clauses = (params.get('sysparm_query') || '').split('^').filter(clause => clause);
+    const conditions = clauses.filter(clause => !clause.startsWith('ORDERBY'));
+    const orderings = clauses.filter(clause => clause.startsWith('ORDERBY'));
+
+    // ^OR joins a condition to the one before it, and binds tighter than ^.
+    const groups = [];
+    conditions.forEach((condition) => {
+      if (condition.startsWith('OR') && groups.length) {
+        groups[groups.length - 1].push(condition.slice(2));
+      } else {
+        groups.push([condition.replace(/^OR/, '')]);
+      }
+    });
+    let records = this.table(tableName).filter(record => groups.every(group => group.some(condition => matchesCondition(record, condition))));
+    orderings.reverse().forEach((ordering) => {
+      const descending = ordering.startsWith('ORDERBYDESC');
+      const field = ordering.slice(descending ? 11 : 7);
+      records = records.slice().sort((a, b) => {
+        const order = compareValues(String(a[field] || ''), String(b[field] || ''));
+        return descending ? -order : order;
+      });
+    });
+
+    const total = records.length;
+    const offset = Number(params.get('sysparm_offset')) || 0;
+    const limit = params.has('sysparm_limit') ? Number(params.get('sysparm_limit')) : total;
+    const page = records.slice(offset, offset + limit).map(record => format(this.project(record, params)));
+
+    const headers = { 'X-Total-Count': String(total) };
+    if (params.has('sysparm_limit') && offset + limit < total) {
+      const next = new URLSearchParams(params);
+      next.set('sysparm_offset', offset + limit);
+      headers.Link = `<${this.url}${url.pathname}?${next}>;rel="next"`;
+    }
+    return this.send(res, 200, { result: page }, headers);
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method getOne
+   * @description Serves a single record read.
+   *
+   * @param {http.ServerResponse} res - The response.
+   * @param {string} tableName - The table name.
+   * @param {string} sysId - The record's key.
+   * @param {URL} url - The request URL.
+   */
+  getOne(res, tableName, sysId, url) {
+    const record = this.table(tableName).find(candidate => candidate.sys_id === sysId);
+    if (!record) {
+      return this.send(res, 404, { error: { message: 'No Record found' } });
+    }
+    return this.send(res, 200, { result: this.project(record, url.searchParams) });
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method update
+   * @description Serves a PATCH of a single record.
+   *
+   * @param {http.ServerResponse} res - The response.
+   * @param {string} tableName - The table name.
+   * @param {string} sysId - The record's key.
+   * @param {object} payload - The columns to change.
+   */
+  update(res, tableName, sysId, payload) {
+    const record = sysId && this.table(tableName).find(candidate => candidate.sys_id === sysId);
+    if (!record) {
+      return this.send(res, 404, { error: { message: 'No Record found' } });
+    }
+    this.write(tableName, record, { sys_updated_on: timestamp(), ...payload });
+    return this.send(res, 200, { result: record });
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method remove
+   * @description Serves a DELETE of a single record.
+   *
+   * @param {http.ServerResponse} res - The response.
+   * @param {string} tableName - The table name.
+   * @param {string} sysId - The record's key.
+   */
+  remove(res, tableName, sysId) {
+    const records = this.table(tableName);
+    const index = records.findIndex(candidate => candidate.sys_id === sysId);
+    if (!sysId || index === -1) {
+      return this.send(res, 404, { error: { message: 'No Record found' } });
+    }
+    records.splice(index, 1);
+    res.writeHead(204);
+    return res.end();
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method project
+   * @description Applies sysparm_fields to a record.
+   *
+   * @param {object} record - The record.
+   * @param {URLSearchParams} params - The request's query parameters.
+   *
+   * @return {object} A copy of the record with only the requested fields.
+   */
+  project(record, params) {
+    if (!params.get('sysparm_fields')) {
+      return { ...record };
+    }
+    const projected = {};
+    params.get('sysparm_fields').split(',').forEach((field) => {
+      if (record[field] !== undefined) {
+        projected[field] = record[field];
+      }
+    });
+    return projected;
+  }
+
+  /**
+   * @memberof ServiceNowSimulator
+   * @method send
+   * @description Writes a JSON response. With etags on, a successful read
+   *   carries an ETag and is answered 304 when If-None-Match matches it.
+   *
+   * @param {http.ServerResponse} res - The response.
+   * @param {number} statusCode - The HTTP status.
+   * @param {object} payload - The response body.
+   * @param {object} [headers] - Extra response headers.
+   */
+  send(res, statusCode, payload, headers = {}) {
+    const json = JSON.stringify(payload);
+    if (this.etags && statusCode === 200 && res.req.method === 'GET') {
+      const etag = `"${crypto.createHash('sha1').update(json).digest('hex')}"`;
+      if (res.req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag });
+        return res.end();
+      }
+      headers = { ...headers, ETag: etag };
+    }
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+    return res.end(json);
+  }
+}
+
+// Run a standalone simulator with `node test/serviceNowSimulator.js [port]`.
+if (require.main === module) {
+  const simulator = new ServiceNowSimulator();
+  simulator.start(Number(process.argv[2]) || 8080).then((url) => {
+    console.log(`ServiceNow simulator listening at ${url} (user ${simulator.username}, password ${simulator.password})`);
+  });
+}
+
+module.exports = ServiceNowSimulator;
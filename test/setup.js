@@ -0,0 +1,9 @@
+// IAP provides a global log object to adapters. Tests replace it with a
+// silent stand-in.
+global.log = {
+  error() {},
+  warn() {},
+  info() {},
+  debug() {},
+  trace() {},
+};
@@ -0,0 +1,117 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const ServiceNowAdapter = require(path.join(__dirname, '../main.js'));
+const WebhookReceiver = require(path.join(__dirname, '../webhookReceiver.js'));
+
+describe('WebhookReceiver', () => {
+  const secret = 'shared-secret';
+  const key = 'a'.repeat(32);
+  const adapter = new ServiceNowAdapter('serviceNow', {
+    url: 'http://127.0.0.1:1',
+    auth: { username: 'admin', password: 'password' },
+    serviceNowTable: 'change_request',
+  });
+  let receiver;
+  let events;
+
+  // Posts a delivery signed with the shared secret unless headers override it.
+  const deliver = (payload, headers = {}) => new Promise((resolve, reject) => {
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    const req = http.request(receiver.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-ServiceNow-Timestamp': timestamp,
+        'X-ServiceNow-Signature': `sha256=${signature}`,
+        ...headers,
+      },
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  beforeEach((done) => {
+    receiver = new WebhookReceiver(adapter.changeTable, { secret, host: '127.0.0.1', port: 0, tolerance: 60000 });
+    events = [];
+    ['changeCreated', 'changeUpdated', 'changeStateChanged', 'webhookRejected']
+      .forEach(name => receiver.on(name, event => events.push({ name, ...event })));
+    receiver.start(() => done());
+  });
+  afterEach(done => receiver.stop(() => done()));
+  after(() => adapter.connector.transport.destroy());
+
+  it('emits signed deliveries as changeTicket events', async () => {
+    assert.strictEqual(await deliver({
+      operation: 'insert',
+      record: { sys_id: key, number: 'CHG0001', priority: '2', state: '-5' },
+    }), 202);
+    assert.strictEqual(await deliver({
+      record: { sys_id: key, state: { value: '-4', display_value: 'Assess' }, sys_updated_on: '2024-05-01 02:00:00' },
+      previous: { sys_id: key, state: '-5' },
+    }), 202);
+    assert.deepStrictEqual(events.map(event => event.name), ['changeCreated', 'changeUpdated', 'changeStateChanged']);
+    assert.deepStrictEqual(events[0].ticket, {
+      change_ticket_number: 'CHG0001',
+      priority: 2,
+      state: '-5',
+      change_ticket_key: key,
+    });
+    assert.deepStrictEqual(events[1].changes, { state: { old: '-5', new: '-4' } });
+    assert.deepStrictEqual([events[2].source, events[2].new_state, events[2].updated_on], ['webhook', '-4', '2024-05-01 02:00:00']);
+  });
+
+  it('rejects unsigned, forged, and stale deliveries', async () => {
+    const payload = { record: { sys_id: key } };
+    const stale = String(Math.floor(Date.now() / 1000) - 120);
+    const staleBody = JSON.stringify(payload);
+    const staleSignature = crypto.createHmac('sha256', secret).update(`${stale}.${staleBody}`).digest('hex');
+    assert.strictEqual(await deliver(payload, { 'X-ServiceNow-Signature': '' }), 401);
+    assert.strictEqual(await deliver(payload, { 'X-ServiceNow-Signature': 'f'.repeat(64) }), 401);
+    assert.strictEqual(await deliver(staleBody, { 'X-ServiceNow-Timestamp': stale, 'X-ServiceNow-Signature': staleSignature }), 401);
+    assert.deepStrictEqual(events.map(event => [event.name, event.statusCode]), [
+      ['webhookRejected', 401],
+      ['webhookRejected', 401],
+      ['webhookRejected', 401],
+    ]);
+  });
+
+  it('rejects replayed deliveries', async () => {
+    const body = JSON.stringify({ record: { sys_id: key } });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    const headers = { 'X-ServiceNow-Timestamp': timestamp, 'X-ServiceNow-Signature': signature };
+    assert.strictEqual(await deliver(body, headers), 202);
+    assert.strictEqual(await deliver(body, headers), 409);
+    assert.deepStrictEqual(events.map(event => event.name), ['changeUpdated', 'webhookRejected']);
+  });
+
+  it('rejects malformed deliveries', async () => {
+    assert.strictEqual(await deliver('{'), 400);
+    assert.strictEqual(await deliver({ operation: 'insert' }), 400);
+    assert.strictEqual(await deliver({ record: { number: 'CHG0001' } }), 400);
+    assert.strictEqual(await deliver({ operation: 'delete', record: { sys_id: key } }), 400);
+    assert.strictEqual(await deliver({ record: { sys_id: key, priority: 'high' } }), 400);
+    assert.ok(events.every(event => event.name === 'webhookRejected'));
+  });
+
+  it('names the host in its URL when listening on every interface', (done) => {
+    const wildcard = new WebhookReceiver(adapter.changeTable, { secret, host: '0.0.0.0', port: 0 });
+    wildcard.start((url) => {
+      assert.ok(url.startsWith(`http://${os.hostname()}:`));
+      wildcard.stop(() => done());
+    });
+  });
+
+  it('requires a secret', () => {
+    assert.throws(() => new WebhookReceiver(adapter.changeTable, {}), /needs a secret/);
+  });
+});
@@ -0,0 +1,319 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const stream = require('stream');
+const tls = require('tls');
+
+const DEFAULT_REQUEST_TIMEOUT = 30000;
+const DEFAULT_MAX_SOCKETS = 10;
+
+/**
+ * The HttpTransport class.
+ *
+ * @summary HTTP(S) Transport
+ * @description This class sends HTTP requests for ServiceNowConnector with
+ *   Node.js's built-in http and https modules. It pools keep-alive
+ *   connections, applies a per-request timeout, tunnels through an HTTP(S)
+ *   proxy, and honours custom CA certificates and rejectUnauthorized.
+ *   Any object with a compatible request() method can stand in for it,
+ *   for example a fake transport in tests.
+ */
+class HttpTransport {
+
+  /**
+   * @memberof HttpTransport
+   * @constructs
+   * @description Copies the options and creates the pooled agents.
+   *
+   * @param {object} [options] - Transport options.
+   * @param {number} [options.requestTimeout=30000] - Milliseconds a single
+   *   request may wait to connect or for more response data.
+   * @param {boolean} [options.keepAlive=true] - Reuse connections between requests.
+   * @param {number} [options.maxSockets=10] - Most concurrent connections per host.
+   * @param {(string|object)} [options.proxy] - Proxy URL, or an object with
+   *   url, username, and password properties.
+   * @param {(string|string[])} [options.ca] - Extra CA certificates, as PEM text or file paths.
+   * @param {boolean} [options.rejectUnauthorized=true] - Reject servers whose
+   *   certificate does not verify.
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.ca = options.ca ? [].concat(options.ca).map(readPem) : undefined;
+    this.proxy = parseProxy(options.proxy);
+
+    const agentOptions = {
+      keepAlive: options.keepAlive !== false,
+      maxSockets: options.maxSockets || DEFAULT_MAX_SOCKETS,
+    };
+    this.httpAgent = new http.Agent(agentOptions);
+    this.httpsAgent = new https.Agent({
+      ...agentOptions,
+      ca: this.ca,
+      rejectUnauthorized: options.rejectUnauthorized !== false,
+    });
+  }
+
+  /**
+   * @callback HttpTransport~responseCallback
+   * @param {error} error - A socket, TLS, proxy, or timeout error. Timeouts
+   *   carry code ETIMEDOUT before a connection is made and ESOCKETTIMEDOUT after.
+   * @param {object} response - The response, with statusCode, headers, and body.
+   *   A streamed response is itself the readable body and has no body property.
+   * @param {string} body - The response body.
+   */
+
+  /**
+   * @memberof HttpTransport
+   * @method request
+   * @description Sends one HTTP request and buffers the response body.
+   *   A readable stream body is piped to the request, and a 2xx response can
+   *   be passed on unread for the caller to stream.
+   *
+   * @param {object} requestOptions - Request options.
+   * @param {string} requestOptions.method - HTTP method.
+   * @param {string} requestOptions.url - Absolute URL.
+   * @param {object} [requestOptions.headers] - Request headers. Set
+   *   Content-Length for a stream body.
+   * @param {(string|Buffer|stream.Readable)} [requestOptions.body] - Request body.
+   * @param {boolean} [requestOptions.streamResponse=false] - Call back as
+   *   soon as a 2xx response arrives, without reading its body. Other
+   *   responses are buffered as usual.
+   * @param {number} [requestOptions.timeout] - Overrides options.requestTimeout.
+   * @param {string} [requestOptions.cert] - Client certificate for mutual TLS.
+   * @param {string} [requestOptions.key] - Client private key for mutual TLS.
+   * @param {string} [requestOptions.passphrase] - Passphrase of the private key.
+   * @param {HttpTransport~responseCallback} callback - Called once with the outcome.
+   *
+   * @return {object} A handle whose abort() method cancels the request.
+   */
+  request(requestOptions, callback) {
+    const target = new URL(requestOptions.url);
+    const secure = target.protocol === 'https:';
+    const timeout = requestOptions.timeout || this.options.requestTimeout || DEFAULT_REQUEST_TIMEOUT;
+    const headers = { ...requestOptions.headers };
+    const body = requestOptions.body;
+    const streamBody = body instanceof stream.Readable;
+    let finished = false;
+    let clientRequest = null;
+
+    const finish = (error, response) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      if (error && streamBody) {
+        // Close a file read stream that will not be sent.
+        body.destroy();
+      }
+      callback(error, response, response ? response.body : undefined);
+    };
+    const handle = {
+      abort: () => {
+        const abortError = new Error('Request aborted.');
+        abortError.code = 'ECONNABORTED';
+        if (clientRequest) {
+          clientRequest.destroy();
+        }
+        finish(abortError);
+      },
+    };
+
+    if (body !== undefined && body !== null && !streamBody) {
+      headers['Content-Length'] = Buffer.byteLength(body);
+    }
+    const tlsOptions = {
+      ca: this.ca,
+      rejectUnauthorized: this.options.rejectUnauthorized !== false,
+      cert: requestOptions.cert,
+      key: requestOptions.key,
+      passphrase: requestOptions.passphrase,
+    };
+
+    const send = (connection) => {
+      if (finished) {
+        // Aborted while the proxy tunnel was opening.
+        if (connection) {
+          connection.destroy();
+        }
+        return;
+      }
+      const nodeOptions = {
+        method: requestOptions.method,
+        hostname: target.hostname,
+        port: target.port || (secure ? 443 : 80),
+        path: `${target.pathname}${target.search}`,
+        headers,
+        agent: secure ? this.httpsAgent : this.httpAgent,
+        ...(secure ? tlsOptions : {}),
+      };
+      if (connection) {
+        // Without an agent, Node.js sends the request over createConnection's socket.
+        nodeOptions.agent = undefined;
+        nodeOptions.createConnection = () => connection;
+      } else if (this.proxy && !secure) {
+        // Plain HTTP goes through the proxy with an absolute request URI.
+        nodeOptions.hostname = this.proxy.url.hostname;
+        nodeOptions.port = this.proxy.url.port || 80;
+        nodeOptions.path = target.href;
+        nodeOptions.agent = this.httpAgent;
+        if (this.proxy.authorization) {
+          headers['Proxy-Authorization'] = this.proxy.authorization;
+        }
+      }
+
+      clientRequest = (secure ? https : http).request(nodeOptions, (response) => {
+        if (requestOptions.streamResponse && response.statusCode >= 200 && response.statusCode < 300) {
+          return finish(null, response);
+        }
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+          response.body = Buffer.concat(chunks).toString('utf8');
+          finish(null, response);
+        });
+        return response.on('error', finish);
+      });
+      clientRequest.setTimeout(timeout, () => {
+        const timeoutError = new Error(`Request timed out after ${timeout} ms.`);
+        timeoutError.code = clientRequest.socket && clientRequest.socket.connecting === false
+          ? 'ESOCKETTIMEDOUT'
+          : 'ETIMEDOUT';
+        clientRequest.destroy();
+        finish(timeoutError);
+      });
+      clientRequest.on('error', finish);
+      if (streamBody) {
+        body.on('error', (error) => {
+          clientRequest.destroy();
+          finish(error);
+        });
+        body.pipe(clientRequest);
+        return;
+      }
+      if (body !== undefined && body !== null) {
+        clientRequest.write(body);
+      }
+      clientRequest.end();
+    };
+
+    if (this.proxy && secure) {
+      this.tunnel(target, timeout, tlsOptions, (tlsSocket, error) => (error ? finish(error) : send(tlsSocket)));
+    } else {
+      send(null);
+    }
+    return handle;
+  }
+
+  /**
+   * @memberof HttpTransport
+   * @method tunnel
+   * @description Opens a CONNECT tunnel through the proxy to an HTTPS target
+   *   and starts TLS over it.
+   *
+   * @param {URL} target - The request's target URL.
+   * @param {number} timeout - Milliseconds to wait for the proxy.
+   * @param {object} tlsOptions - CA, verification, and client certificate options.
+   * @param {iapCallback} callback - Callback a function.
+   * @param {tls.TLSSocket} callback.data - The TLS socket to the target.
+   * @param {error} callback.error - The error property of callback.
+   */
+  tunnel(target, timeout, tlsOptions, callback) {
+    const authority = `${target.hostname}:${target.port || 443}`;
+    const headers = { Host: authority };
+    if (this.proxy.authorization) {
+      headers['Proxy-Authorization'] = this.proxy.authorization;
+    }
+    const proxySecure = this.proxy.url.protocol === 'https:';
+    const connectRequest = (proxySecure ? https : http).request({
+      method: 'CONNECT',
+      hostname: this.proxy.url.hostname,
+      port: this.proxy.url.port || (proxySecure ? 443 : 80),
+      path: authority,
+      headers,
+      agent: false,
+      ca: this.ca,
+    });
+
+    connectRequest.setTimeout(timeout, () => {
+      const timeoutError = new Error(`Proxy did not answer within ${timeout} ms.`);
+      timeoutError.code = 'ETIMEDOUT';
+      connectRequest.destroy();
+      callback(null, timeoutError);
+    });
+    connectRequest.on('connect', (response, socket) => {
+      connectRequest.setTimeout(0);
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        const proxyError = new Error(`Proxy refused the tunnel with status ${response.statusCode}.`);
+        proxyError.code = 'EPROXY';
+        proxyError.statusCode = response.statusCode;
+        return callback(null, proxyError);
+      }
+      const tlsSocket = tls.connect({ ...tlsOptions, socket, servername: target.hostname });
+      // Closing the TLS socket does not close the tunnel beneath it.
+      tlsSocket.once('close', () => socket.destroy());
+      return callback(tlsSocket, null);
+    });
+    connectRequest.on('error', error => callback(null, error));
+    connectRequest.end();
+  }
+
+  /**
+   * @memberof HttpTransport
+   * @method destroy
+   * @description Closes pooled connections.
+   */
+  destroy() {
+    this.httpAgent.destroy();
+    this.httpsAgent.destroy();
+  }
+}
+
+/**
+ * @function readPem
+ * @description Returns PEM text as is, or reads it from the named file.
+ *
+ * @param {string} [pemOrPath] - PEM text or a file path.
+ *
+ * @return {(string|Buffer|undefined)} The PEM content.
+ */
+function readPem(pemOrPath) {
+  if (!pemOrPath || pemOrPath.includes('-----BEGIN')) {
+    return pemOrPath;
+  }
+  return fs.readFileSync(pemOrPath);
+}
+
+/**
+ * @function parseProxy
+ * @description Normalizes the proxy option.
+ *
+ * @param {(string|object)} [proxy] - Proxy URL, or an object with url,
+ *   username, and password properties. Credentials in the URL are used when
+ *   username is not set.
+ *
+ * @return {(object|null)} The proxy URL and Proxy-Authorization header value.
+ */
+function parseProxy(proxy) {
+  if (!proxy) {
+    return null;
+  }
+  const settings = typeof proxy === 'string' ? { url: proxy } : proxy;
+  if (!settings.url) {
+    return null;
+  }
+  const url = new URL(settings.url);
+  const username = settings.username || decodeURIComponent(url.username);
+  const password = settings.password || decodeURIComponent(url.password);
+  return {
+    url,
+    authorization: username
+      ? `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`
+      : null,
+  };
+}
+
+// The authenticator loads client certificates the same way.
+HttpTransport.readPem = readPem;
+
+module.exports = HttpTransport;
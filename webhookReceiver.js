@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events').EventEmitter;
+const ChangeWatcher = require(path.join(__dirname, '/changeWatcher.js'));
+
+// Signatures are hex HMAC-SHA256 digests, optionally prefixed with sha256=.
+const signatureRegex = /^(?:sha256=)?([0-9a-f]{64})$/i;
+
+// Delivery timestamps are Unix times in seconds.
+const timestampRegex = /^\d{1,12}$/;
+
+// Settings used for any option the webhook property omits.
+const DEFAULT_WEBHOOK = {
+  host: '127.0.0.1',
+  port: 8080,
+  path: '/servicenow/change',
+  signatureHeader: 'x-servicenow-signature',
+  timestampHeader: 'x-servicenow-timestamp',
+  tolerance: 300000,
+  maxBodySize: 1024 * 1024,
+};
+
+// Addresses that listen on every interface, which callers cannot post to.
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+// The operations a delivery may report, and the event each raises.
+const OPERATION_EVENTS = {
+  insert: 'changeCreated',
+  update: 'changeUpdated',
+};
+
+/**
+ * @function rejection
+ * @description Builds the reason a delivery was refused.
+ *
+ * @param {number} statusCode - The HTTP status answered.
+ * @param {string} message - Why the delivery was refused.
+ *
+ * @return {object} The status code and message.
+ */
+function rejection(statusCode, message) {
+  return { statusCode, message };
+}
+
+/**
+ * @function normalizePartial
+ * @description Normalizes the columns a delivery sent. Properties whose
+ *   columns are missing are left out.
+ *
+ * @param {FieldMapping} mapping - The change table's field mapping.
+ * @param {object} record - The delivered columns.
+ *
+ * @return {object} The partial changeTicket.
+ */
+function normalizePartial(mapping, record) {
+  const ticket = mapping.normalize(record);
+  Object.keys(ticket).forEach((property) => {
+    if (ticket[property] === undefined) {
+      delete ticket[property];
+    }
+  });
+  return ticket;
+}
+
+/**
+ * The WebhookReceiver class.
+ *
+ * @summary ServiceNow Outbound Notification Receiver
+ * @description This class runs an HTTP endpoint for ServiceNow outbound
+ *   REST messages, such as those a business rule sends when a change is
+ *   inserted or updated. Each delivery is a JSON object with the change's
+ *   columns in record, the operation (insert or update), and optionally
+ *   the columns before the update in previous.
+ *
+ *   A delivery must carry a Unix timestamp in seconds and a hex
+ *   HMAC-SHA256 signature of `<timestamp>.<body>` made with the shared
+ *   secret. Deliveries with a bad signature or a timestamp further than
+ *   options.tolerance from the adapter's clock are answered 401; a
+ *   delivery whose signature was already accepted is a replay, answered
+ *   409; a malformed one is answered 400. An accepted delivery is answered
+ *   202 and raises the same events as ChangeWatcher, with source webhook.
+ *   Every refused delivery raises webhookRejected.
+ *
+ *   The endpoint serves plain HTTP. Expose it to ServiceNow through a
+ *   reverse proxy or load balancer that terminates TLS.
+ */
+class WebhookReceiver extends EventEmitter {
+
+  /**
+   * @memberof WebhookReceiver
+   * @constructs
+   * @description Creates a stopped receiver. Throws an error without a secret.
+   *
+   * @param {object} handler - The change table's handler from
+   *   ServiceNowAdapter's createTableHandler().
+   * @param {object} options - The webhook adapter property.
+   * @param {string} options.secret - The shared HMAC secret.
+   * @param {string} [options.host=127.0.0.1] - Address to listen on. The
+   *   default only accepts deliveries relayed by a proxy on this machine;
+   *   0.0.0.0 exposes the endpoint on every interface.
+   * @param {number} [options.port=8080] - Port to listen on. 0 picks a free port.
+   * @param {string} [options.path=/servicenow/change] - Path deliveries are posted to.
+   * @param {string} [options.signatureHeader=x-servicenow-signature] - Header
+   *   with the signature.
+   * @param {string} [options.timestampHeader=x-servicenow-timestamp] - Header
+   *   with the timestamp.
+   * @param {number} [options.tolerance=300000] - Milliseconds a timestamp
+   *   may differ from the adapter's clock.
+   * @param {number} [options.maxBodySize=1048576] - Largest accepted body in bytes.
+   */
+  constructor(handler, options = {}) {
+    super();
+    if (typeof options.secret !== 'string' || !options.secret) {
+      throw new Error('The webhook property needs a secret to verify deliveries.');
+    }
+    this.handler = handler;
+    this.options = { ...DEFAULT_WEBHOOK, ...options };
+    this.options.signatureHeader = this.options.signatureHeader.toLowerCase();
+    this.options.timestampHeader = this.options.timestampHeader.toLowerCase();
+    // Accepted signatures and when they may be forgotten, for replay detection.
+    this.accepted = new Map();
+    this.server = null;
+    // Open connections, destroyed by stop().
+    this.sockets = new Set();
+  }
+
+  /**
+   * @memberof WebhookReceiver
+   * @method start
+   * @description Listens for deliveries. Does nothing when already listening.
+   *
+   * @param {iapCallback} callback - Callback a function.
+   * @param {string} callback.data - The URL deliveries are posted to.
+   * @param {error} callback.error - Why the receiver could not listen.
+   */
+  start(callback) {
+    if (this.server) {
+      return callback(this.url, null);
+    }
+    const server = http.createServer((req, res) => this.handle(req, res));
+    server.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.once('close', () => this.sockets.delete(socket));
+    });
+    server.once('error', (error) => {
+      this.server = null;
+      log.error(`ServiceNow: Webhook receiver cannot listen on ${this.options.host}:${this.options.port}. ${error.message}`);
+      callback(null, error);
+    });
+    this.server = server;
+    return server.listen(this.options.port, this.options.host, () => {
+      log.info(`ServiceNow: Webhook receiver listening at ${this.url}.`);
+      callback(this.url, null);
+    });
+  }
+
+  /**
+   * @memberof WebhookReceiver
+   * @method stop
+   * @description Stops listening and closes open connections.
+   *
+   * @param {iapCallback} [callback] - Called once the server has closed.
+   */
+  stop(callback = () => {}) {
+    const server = this.server;
+    this.server = null;
+    if (!server) {
+      return callback(true, null);
+    }
+    server.close(() => callback(true, null));
+    // close() waits for keep-alive connections, so end them here.
+    this.sockets.forEach(socket => socket.destroy());
+    return this.sockets.clear();
+  }
+
+  /**
+   * @memberof WebhookReceiver
+   * @member {string} url
+   * @description The URL deliveries are posted to, once listening. When
+   *   listening on every interface, the URL names this machine's host name.
+   */
+  get url() {
+    const address = this.server && this.server.address();
+    if (!address) {
+      return null;
+    }
+    const host = WILDCARD_HOSTS.includes(this.options.host) ? os.hostname() : this.options.host;
+    return `http://${host.includes(':') ? `[${host}]` : host}:${address.port}${this.options.path}`;
+  }
+
+  /**
+   * @memberof WebhookReceiver
+   * @method handle
+   * @description Reads a delivery up to options.maxBodySize bytes, then
+   *   accepts or refuses it.
+   *
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   */
+  handle(req, res) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    if (url.pathname !== this.options.path) {
+      return this.refuse(res, rejection(404, 'Unknown path.'));
+    }
+    if (req.method !== 'POST') {
+      return this.refuse(res, rejection(405, 'Deliveries must be POSTed.'));
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= this.options.maxBodySize) {
+        chunks.push(chunk);
+      }
+    });
+    return req.on('end', () => {
+      if (size > this.options.maxBodySize) {
+        return this.refuse(res, rejection(413, `The body exceeds ${this.options.maxBodySize} bytes.`));
+      }
+      const result = this.receive(req.headers, Buffer.concat(chunks));
+      if (result.statusCode) {
+        return this.refuse(res, result);
+      }
+      res.writeHead(202, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ result: { accepted: true } }));
+      return result.events.forEach(([name, event]) => this.emit(name, event));
+    });
+  }
+
+  /**
+   * @memberof WebhookReceiver
+   * @method receive
+   * @description Verifies a delivery and builds its events. A verified
+   *   delivery's signature is remembered until its timestamp leaves the
+   *   tolerance, so it cannot be replayed.
+   *
+   * @param {object} headers - The request headers.
+   * @param {Buffer} body - The raw request body.
+   *
+   * @return {object} The events to emit, or the status code and message
+   *   of the rejection.
+   */
+  receive(headers, body) {
+    const timestamp = headers[this.options.timestampHeader];
+    const signature = signatureRegex.exec(headers[this.options.signatureHeader] || '');
+    if (!signature || !timestampRegex.test(timestamp || '')) {
+      return rejection(401, 'The delivery is not signed.');
+    }
+    const expected = crypto.createHmac('sha256', this.options.secret)
+      .update(`${timestamp}.`)
+      .update(body)
+      .digest();
+    const actual = Buffer.from(signature[1], 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return rejection(401, 'The signature does not match.');
+    }
+    const now = Date.now();
+    const sentAt = Number(timestamp) * 1000;
+    if (Math.abs(now - sentAt) > this.options.tolerance) {
+      return rejection(401, 'The timestamp is outside the tolerance.');
+    }
+    this.accepted.forEach((expiry, key) => {
+      if (expiry < now) {
+        this.accepted.delete(key);
+      }
+    });
+    const replayKey = actual.toString('hex');
+    if (this.accepted.has(replayKey)) {
+      return rejection(409, 'The delivery was already received.');
+    }
+
+    const delivery = this.parse(body);
+    if (delivery.statusCode) {
+      return delivery;
+    }
+    this.accepted.set(replayKey, sentAt + this.options.tolerance);
+    return { events: this.buildEvents(delivery) };
+  }
+
+  /**
+   * @memberof WebhookReceiver
+   * @method parse
+   * @description Reads a delivery's operation and normalizes its record
+   *   and previous columns to changeTickets.
+   *
+   * @param {Buffer} body - The raw request body.
+   *
+   * @return {object} The operation, ticket, previous ticket, and updated_on
+   *   time, or the status code and message of the rejection.
+   */
+  parse(body) {
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      return rejection(400, 'The body is not JSON.');
+    }
+    if (!payload || typeof payload.record !== 'object' || payload.record === null) {
+      return rejection(400, 'The body has no record.');
+    }
+    const operation = payload.operation || 'update';
+    if (!OPERATION_EVENTS[operation]) {
+      return rejection(400, `Unknown operation ${operation}. Expected one of ${Object.keys(OPERATION_EVENTS).join(', ')}.`);
+    }
+    const { mapping, validateInput, definition } = this.handler;
+    const ticket = normalizePartial(mapping, payload.record);
+    const previous = payload.previous && typeof payload.previous === 'object' ? normalizePartial(mapping, payload.previous) : null;
+    // Business rules may send only some columns, so only the key is required.
+    if (!ticket[definition.keyProperty] || !validateInput(ticket)) {
+      return rejection(400, `The record is not a valid ${definition.title}.`);
+    }
+    return {
+      operation,
+      ticket,
+      previous,
+      updatedOn: String(payload.record.sys_updated_on || ''),
+    };
+  }
+
+  /**
+   * @memberof WebhookReceiver
+   * @method buildEvents
+   * @description Builds a delivery's events as ChangeWatcher would.
+   *
+   * @param {object} delivery - The parsed delivery.
+   *
+   * @return {Array[]} Pairs of event name and event.
+   */
+  buildEvents(delivery) {
+    const { operation, ticket, previous, updatedOn } = delivery;
+    const event = {
+      source: 'webhook',
+      change_ticket_key: ticket[this.handler.definition.keyProperty],
+      ticket,
+      updated_on: updatedOn,
+    };
+    if (operation === 'insert') {
+      return [[OPERATION_EVENTS.insert, event]];
+    }
+    if (!previous) {
+      return [[OPERATION_EVENTS.update, { ...event, previous: null, changes: null }]];
+    }
+    const changes = ChangeWatcher.diffTickets(previous, ticket);
+    const events = [[OPERATION_EVENTS.update, { ...event, previous, changes }]];
+    if (changes.state) {
+      events.push(['changeStateChanged', {
+        ...event,
+        previous,
+        old_state: changes.state.old,
+        new_state: changes.state.new,
+      }]);
+    }
+    return events;
+  }
+
+  /**
+   * @memberof WebhookReceiver
+   * @method refuse
+   * @description Answers a refused delivery and raises webhookRejected.
+   *
+   * @param {http.ServerResponse} res - The response.
+   * @param {object} reason - The status code and message.
+   */
+  refuse(res, reason) {
+    log.warn(`ServiceNow: Refused webhook delivery with status ${reason.statusCode}. ${reason.message}`);
+    res.writeHead(reason.statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { message: reason.message } }));
+    this.emit('webhookRejected', reason);
+  }
+}
+
+module.exports = WebhookReceiver;